@@ -9,28 +9,73 @@ ELRCMaker = function() {
   // Currently loaded Audio/Lyrics
   var media = this.media = $('video')[0];
   this.lyricsBox = new LyricsBox('#lyrics', media);
+  this.waveform = new Waveform('#waveform', media);
+  this.preview = new KaraokePreview('#preview', media);
+  this.loop = new PlaybackLoop(media);
+  this.preRoll = 1;
+  this.history = new UndoHistory();
   this.lyrics = null;
   this.loadedFilename = null;
+  this.store = new SessionStore();
+  this.providerSettings = ELRCMaker.loadProviderSettings();
   self = this;
   // The Lyrics object needs the duration, not available right away.
   $(media).on('durationchange loadedmetadata',
               function() {
-                self.lyrics.duration = media.duration;
+                if (self.lyrics)
+                  self.lyrics.duration = media.duration;
               }
              );
   // Install all the UI handlers etc.
   this._setupUI();
   // Enable keyboard shortcuts
   this.shortcuts = Shortcuts(this);
-  // Load data from localStorage if there is anything
-  //if (localStorage['lyrics']) {
-  //$('#introduction').hide();
-  //$('#lyrics').show();
-  //this.loadLyrics(Lyrics.fromJSON(localStorage['lyrics'], media.duration));
-  //}
-  //if (localStorage['media']) {
-  //this.loadMedia(localStorage['media'], localStorage['mediaFilename']);
-  //}
+  // Offer to continue with an autosaved session, if there is one.
+  this._offerRestore();
+};
+/**
+ * If a previous session has been autosaved, ask the user whether to
+ * restore it.
+ */
+ELRCMaker.prototype._offerRestore = function() {
+  var this$App = this;
+  this.store.load(function(session) {
+    if (!session.lyrics && !session.media)
+      return;
+    var summary = [];
+    if (session.mediaFilename)
+      summary.push(session.mediaFilename);
+    var lyrics = null;
+    try {
+      if (session.lyrics)
+        lyrics = Lyrics.fromJSON(session.lyrics);
+    }
+    catch (e) {
+      this$App.showError('The autosaved lyrics cannot be restored: ' + e.message);
+    }
+    if (!lyrics && !session.media)
+      return;
+    if (lyrics)
+      summary.push(lyrics.length + ' words');
+    $('#restore .summary').text(summary.join(', '));
+    $('#restore .action').off('click').click(function() {
+      if (lyrics) {
+        lyrics.duration = this$App.media.duration;
+        this$App.loadLyrics(lyrics);
+      }
+      if (session.media)
+        this$App.loadMedia(session.media, session.mediaFilename, true);
+      $('#restore').modal('hide');
+    }
+                                            );
+    $('#restore .discard').off('click').click(function() {
+      this$App.store.clear();
+      $('#restore').modal('hide');
+    }
+                                             );
+    $('#restore').modal();
+  }
+                 );
 };
 ELRCMaker.prototype._setupUI = function() {
   // Be sure not to cache ``lyrics``, the object can change.
@@ -44,6 +89,211 @@ ELRCMaker.prototype._setupUI = function() {
   }
                     );
   this.setPlaybackRate(1.0);
+  $('.hold-mode').click(function() {
+    $(this).toggleClass('active');
+    this$App.lyricsBox.setHoldMode($(this).hasClass('active'));
+    localStorage['holdMode'] = $(this).hasClass('active') ? '1' : '';
+  }
+                       );
+  if (localStorage['holdMode']) {
+    $('.hold-mode').addClass('active');
+    this.lyricsBox.setHoldMode(true);
+  }
+  $('.mora-mode').click(function() {
+    $(this).toggleClass('active');
+    this$App.lyricsBox.setMoraMode($(this).hasClass('active'));
+    localStorage['moraMode'] = $(this).hasClass('active') ? '1' : '';
+  }
+                       );
+  if (localStorage['moraMode']) {
+    $('.mora-mode').addClass('active');
+    this.lyricsBox.setMoraMode(true);
+  }
+  // The side column with the translations, which is also shown by editing
+  // one.
+  function showTracks(on_or_off) {
+    $('.show-tracks').toggleClass('active', on_or_off);
+    localStorage['showTracks'] = on_or_off ? '1' : '';
+  }
+  $('.show-tracks').click(function() {
+    var on = !$(this).hasClass('active');
+    this$App.lyricsBox.setShowTracks(on);
+    showTracks(on);
+  }
+                         );
+  this.lyricsBox.on('showTracksChanged', showTracks);
+  if (localStorage['showTracks']) {
+    $('.show-tracks').addClass('active');
+    this.lyricsBox.setShowTracks(true);
+  }
+  $('.spectrogram').click(function() {
+    $(this).toggleClass('active');
+    this$App.waveform.setSpectrogram($(this).hasClass('active'));
+  }
+                         );
+  // A-B loop
+  $('.loop-start').click(function() {
+    this$App.loop.setStart(media.currentTime);
+    $(this).blur();
+  }
+                        );
+  $('.loop-end').click(function() {
+    this$App.loop.setEnd(media.currentTime);
+    $(this).blur();
+  }
+                      );
+  $('.loop-line').click(function() {
+    this$App.loopCurrentLine();
+    $(this).blur();
+  }
+                       );
+  $('.clear-loop').click(function() {
+    this$App.loop.clear();
+    return false;
+  }
+                        );
+  $('.pre-roll').change(function() {
+    this$App.preRoll = parseFloat($(this).val()) || 0;
+    localStorage['preRoll'] = $(this).val();
+    $(this).blur();
+  }
+                       );
+  if (localStorage['preRoll']) {
+    $('.pre-roll').val(localStorage['preRoll']);
+    this.preRoll = parseFloat(localStorage['preRoll']) || 0;
+  }
+  else
+    $('.pre-roll').val(String(this.preRoll));
+  this.loop.on('change', function(start, end) {
+    this$App.waveform.setLoop(start, end);
+    $('.loop-start').toggleClass('active', start != null);
+    $('.loop-end').toggleClass('active', end != null);
+    $('.loop-info').toggle(start != null || end != null);
+    $('.loop-info .range').text(
+      (start != null ? Lyrics.toTimer(start) : '?') + ' – ' +
+      (end != null ? Lyrics.toTimer(end) : '?'));
+  }
+              );
+  // Measuring the latency of the user's taps.
+  var calibration = this.calibration = new LatencyCalibration();
+  var measured = null;
+  $('.calibrate').click(function() {
+    $('#calibration .result').hide();
+    $('#calibration .status').text(LatencyCalibration.isSupported() ? '' :
+      'Your browser does not support the Web Audio API.');
+    $('#calibration .start').prop('disabled', !LatencyCalibration.isSupported());
+    $('#calibration .use').prop('disabled', true);
+    $('#calibration').modal();
+    $(this).blur();
+  }
+                       );
+  $('#calibration .start').click(function() {
+    measured = null;
+    $('#calibration .result').hide();
+    $('#calibration .use').prop('disabled', true);
+    $('#calibration .tap').prop('disabled', false);
+    $(this).prop('disabled', true);
+    calibration.start();
+  }
+                                );
+  $('#calibration .tap').mousedown(function() {
+    calibration.tap();
+    return false;
+  }
+                                  );
+  // The tap key works while the click track plays, too.
+  $(document).on('keydown', function(e) {
+    if (calibration.running && Shortcuts.getAction(e) == 'tap') {
+      calibration.tap();
+      return false;
+    }
+  }
+                );
+  calibration.on('progress', function(played, taps) {
+    $('#calibration .status').text(played ?
+      'Click ' + played + ' of ' + LatencyCalibration.CLICKS + ', ' + taps + ' taps' :
+      'Get ready…');
+  }
+                );
+  calibration.on('done', function(result) {
+    $('#calibration .start').prop('disabled', false);
+    $('#calibration .tap').prop('disabled', true);
+    var message = $('#calibration .result').removeClass('alert-info alert-warning');
+    if (!result) {
+      message.addClass('alert-warning').text(
+        'Too few taps matched the clicks. Please try again.').show();
+      return;
+    }
+    measured = result.delay;
+    message.addClass('alert-info').text(
+      'Your average delay is ' + Math.round(result.delay * 1000) + ' ms (± ' +
+      Math.round(result.deviation * 1000) + ' ms over ' + result.count + ' taps).').show();
+    $('#calibration .use').prop('disabled', false);
+  }
+                );
+  $('#calibration .use').click(function() {
+    this$App.setLatency(measured);
+    $('#calibration').modal('hide');
+  }
+                              );
+  $('#calibration .reset').click(function() {
+    this$App.setLatency(0);
+  }
+                                );
+  $('#calibration').on('hidden.bs.modal', function() {
+    calibration.stop();
+    $('#calibration .start').prop('disabled', false);
+    $('#calibration .tap').prop('disabled', true);
+  }
+                      );
+  this.setLatency(parseFloat(localStorage['tapLatency']) || 0);
+  // Snapping taps to onsets. The onsets are only detected once needed.
+  $('.snap-window').change(function() {
+    var seconds = parseFloat($(this).val()) || 0;
+    this$App.lyricsBox.setSnapWindow(seconds);
+    localStorage['snapWindow'] = seconds || '';
+    if (seconds)
+      this$App._detectOnsets();
+    // Give the keys back to the lyrics.
+    $(this).blur();
+  }
+                         );
+  if (localStorage['snapWindow']) {
+    $('.snap-window').val(localStorage['snapWindow']);
+    this.lyricsBox.setSnapWindow(parseFloat(localStorage['snapWindow']));
+  }
+  this.waveform.on('loaded', function() {
+    if (this$App.lyricsBox.snapWindow)
+      this$App._detectOnsets();
+  }
+                  );
+  this.waveform.on('error', function(message) {
+    this$App.showError(message);
+  }
+                  );
+  this.store.on('error', function(message) {
+    this$App.showError(message);
+  }
+               );
+  this.lyricsBox.on('snapped', function(index, tapped, time) {
+    $('.snap-info').text('Tapped ' + Lyrics.toTimer(tapped) + ', snapped to ' +
+                         Lyrics.toTimer(time)).show();
+  }
+                   );
+  $('.undo').click(function() {
+    this$App.undo();
+  }
+                  );
+  $('.redo').click(function() {
+    this$App.redo();
+  }
+                  );
+  function updateHistoryButtons() {
+    $('.undo').prop('disabled', !this$App.history.canUndo());
+    $('.redo').prop('disabled', !this$App.history.canRedo());
+  }
+  this.history.on('update', updateHistoryButtons);
+  updateHistoryButtons();
   // Setup position display
   function updatePosition() {
     var text;
@@ -69,31 +319,43 @@ ELRCMaker.prototype._setupUI = function() {
     this$App.loadMedia(song, song);
   }
                            );
+  // Remote import by ID, via the configured provider
+  var providerSettings = this.providerSettings;
+  $('#providerType').val(providerSettings.type);
+  $('#lyricsEndpoint').val(providerSettings.lyricsUrl);
+  $('#mediaEndpoint').val(providerSettings.mediaUrl);
+  $('#providerFormat').val(providerSettings.format);
+  function updateProviderFields() {
+    $('#audioSettings .http-provider').toggle($('#providerType').val() == 'http');
+  }
+  updateProviderFields();
+  $('#providerType, #lyricsEndpoint, #mediaEndpoint, #providerFormat').change(function() {
+    this$App.setProviderSettings({
+      type: $('#providerType').val(),
+      lyricsUrl: $('#lyricsEndpoint').val(),
+      mediaUrl: $('#mediaEndpoint').val(),
+      format: $('#providerFormat').val()
+    });
+    updateProviderFields();
+  }
+                                                                              );
   $('.importID').click(function() {
     $('#audioSettings').modal("hide");
-    var ID = document.getElementById("ID").value;
-    var xmlhttp = new XMLHttpRequest();
-  xmlhttp.onreadystatechange = function() {
-    if (this.readyState == 4 && this.status == 200) {
-      $('#import textarea').val(this.responseText);
-      $("#LRC").prop('checked', true);
-	  $('#import').modal();
+    var ID = $.trim(document.getElementById("ID").value);
+    var provider = Providers.create(this$App.providerSettings);
+    function showError(message) {
+      this$App.showError(message);
     }
-  };
-  xmlhttp.open("GET", "http://schindlershadow.com/games/Karaoke/tools/getLyrics.php?q=" + ID, true);
-  xmlhttp.send();
-    
-  var xmlhttp = new XMLHttpRequest();
-  xmlhttp.onreadystatechange = function() {
-    if (this.readyState == 4 && this.status == 200) {
-      this$App.loadMedia(this.responseText, this.responseText);
-    }
-  };
-  xmlhttp.open("GET", "http://schindlershadow.com/games/Karaoke/tools/getFromDB.php?select=file&id=" + ID, true);
-  xmlhttp.send();
-    
+    provider.getLyrics(ID, function(text, format) {
+      $('#import textarea').val(text);
+      this$App.selectImportFormat(format);
+      $('#import').modal();
+    }, showError);
+    provider.getMedia(ID, function(source, filename) {
+      this$App.loadMedia(source, filename);
+    }, showError);
   }
-                           );
+                      );
   // Setup toolbar buttons
   $('.audio-settings').click(function() {
     $('#audioSettings').modal();
@@ -101,27 +363,43 @@ ELRCMaker.prototype._setupUI = function() {
                             );
   $('.import-lyrics').click(function() {
     // If lyrics are currently loaded, add them to the import dialog
-    // to allow editing them (albeit with loss of timestamps set).
+    // to allow editing them (merging keeps the timestamps of the words
+    // which are not changed).
     // Note: Keeping the text originally imported is not good enough,
     // because it might be a format like JSON, ELRC...
-    if (this$App.lyrics && this$App.lyrics.length) {
-      $('#import textarea').val(
-        $.map(this$App.lyrics,
-              function(i) {
-                return i.text.replace("<br>", "\n")}
-             ).join(''));
+    var loaded = !!(this$App.lyrics && this$App.lyrics.length);
+    if (loaded) {
+      $('#import textarea').val(this$App.lyrics.toText());
+      $("#plainText").prop('checked', true);
     }
     $('#import').modal();
+    // Only the text of the current lyrics is merged by default; other
+    // imports bring their own times.
+    $('#mergeImport').prop('checked', loaded);
   }
                            );
+  // Merging is only possible with lyrics to merge into.
+  $('#import').on('show.bs.modal', function() {
+    var loaded = !!(this$App.lyrics && this$App.lyrics.length);
+    $('#mergeImport').prop('disabled', !loaded).prop('checked', false);
+  }
+                 );
+  function updateExport() {
+    var format = ELRCMaker.exportFormats[$('#exportFormat').val()];
+    $('#export .format-options').hide();
+    $('#export .format-options.' + $('#exportFormat').val()).show();
+    $('#export .description').text(format.description);
+    $('#export textarea').val(this$App.exportLyrics());
+  }
   $('.export').click(function() {
-    $('#export textarea').val(this$App.lyrics.toELRC());
+    updateExport();
     $('#export').modal();
   }
                     );
+  $('#export select, #export input').change(updateExport);
   $('#export .action').click(function() {
     var bb = new BlobBuilder;
-    bb.append(this$App.lyrics.toELRC());
+    bb.append(this$App.exportLyrics());
     saveAs(bb.getBlob("text/plain;charset=utf-8"),
            this$App._getExportFilename());
   }
@@ -132,6 +410,110 @@ ELRCMaker.prototype._setupUI = function() {
       "DownloadURL", this$App._makeLyricsUriData());
   }
                  );
+  $('.show-preview').click(function() {
+    this$App.preview.show();
+  }
+                         );
+  // The shift/stretch dialog. The [offset:] tag applies to the whole
+  // file, so the selection cannot be chosen for it.
+  function updateShiftRange() {
+    var selection = !!this$App.lyricsBox.selection &&
+      $('#shift input[name=shiftOperation]:checked').val() != 'offset';
+    $('#shiftSelection').prop('disabled', !selection);
+    if (!selection)
+      $('#shiftAll').prop('checked', true);
+  }
+  $('#shift input[name=shiftOperation]').change(updateShiftRange);
+  $('.shift-times').click(function() {
+    if (!this$App.lyrics)
+      return;
+    var range = this$App._getShiftRange(!!this$App.lyricsBox.selection);
+    $('#shiftSelection').prop('checked', !!this$App.lyricsBox.selection);
+    $('#shiftAll').prop('checked', !this$App.lyricsBox.selection);
+    updateShiftRange();
+    $('#shift .selection-range').text(this$App.lyricsBox.selection ?
+      '"' + Lyrics.joinWords(this$App.lyrics.slice(
+        this$App.lyricsBox.selection.from,
+        this$App.lyricsBox.selection.to+1)) + '"' : '');
+    // Suggest the current times of the anchor words.
+    if (range) {
+      $('#stretchFrom').val(Lyrics.toTimer(this$App.lyrics[range.from].time));
+      $('#stretchTo').val(Lyrics.toTimer(this$App.lyrics[range.to].time));
+    }
+    $('#shift').modal();
+  }
+                         );
+  $('#shift .use-position').click(function() {
+    $('#' + $(this).data('target')).val(Lyrics.toTimer(media.currentTime));
+  }
+                                 );
+  $('#shift .action').click(function() {
+    var range = this$App._getShiftRange($('#shiftSelection').prop('checked'));
+    var operation = $('#shift input[name=shiftOperation]:checked').val();
+    if (!range)
+      return this$App.showError('There are no timed words to shift.');
+    if (operation == 'offset') {
+      var offset = parseInt(this$App.lyrics.metadata.offset) || 0;
+      // A positive offset makes the lyrics appear sooner.
+      this$App.lyrics.setMetadata('offset', String(
+        offset - (parseInt($('#shiftAmount').val()) || 0)));
+    }
+    else if (operation == 'shift')
+      this$App.lyrics.shiftTimes(range.from, range.to,
+                                 (parseInt($('#shiftAmount').val()) || 0) / 1000);
+    else {
+      var fromTime = ELRCMaker.parseTime($('#stretchFrom').val());
+      var toTime = ELRCMaker.parseTime($('#stretchTo').val());
+      if (range.from == range.to || !(toTime > fromTime))
+        return this$App.showError(
+          'Stretching needs two timed words, the second one later.');
+      this$App.lyrics.stretchTimes(range.from, range.to, fromTime, toTime);
+    }
+    $('#shift').modal('hide');
+  }
+                           );
+  // The metadata (LRC ID tags) dialog.
+  $('.edit-metadata').click(function() {
+    if (!this$App.lyrics)
+      return;
+    $('#metadata input[data-key]').each(function() {
+      $(this).val(this$App.lyrics.metadata[$(this).data('key')] || '');
+    }
+                                       );
+    $('#metadata .media-length').text(isFinite(media.duration) ?
+      Lyrics.toTimer(media.duration).replace(/\.\d+$/, '') : '');
+    $('#metadata').modal();
+  }
+                           );
+  $('#metadata input[data-key]').change(function() {
+    this$App.lyrics.setMetadata($(this).data('key'), $.trim($(this).val()));
+  }
+                                       );
+  // The keyboard shortcuts dialog.
+  $('.edit-shortcuts').click(function() {
+    this$App._renderShortcuts();
+    $('#shortcuts').modal();
+  }
+                            );
+  $('#shortcuts .reset').click(function() {
+    Shortcuts.setBindings(null);
+    this$App._renderShortcuts();
+  }
+                              );
+  $('#shortcuts').on('hidden.bs.modal', function() {
+    this$App._capture = null;
+  }
+                    );
+  // While the dialog waits for a key, the next key pressed is bound.
+  $(document).on('keydown', function(e) {
+    if (!this$App._capture)
+      return;
+    var key = Shortcuts.keyName(e);
+    if (!Shortcuts.isModifier(key))
+      this$App._bindShortcut(key);
+    return false;
+  }
+                );
   $('.show-help').click(function() {
     $('#help').modal();
   }
@@ -143,7 +525,10 @@ ELRCMaker.prototype._setupUI = function() {
   // The load-text dialog.
   $('#import .button').on('click', function() {
     var text = $('#import textarea').val();
-    this$App.loadLyrics(text);
+    if ($('#mergeImport').prop('checked') && this$App.lyrics)
+      this$App.mergeLyrics(text);
+    else
+      this$App.loadLyrics(text);
     // Close dialog
     $('#import').modal('hide');
   }
@@ -165,20 +550,9 @@ ELRCMaker.prototype._setupUI = function() {
         // Only load the first media file
         if (mediaFound) continue;
         mediaFound = true;
-        var theFilename = data.files[i].fileName;
-        var isAudio = data.files[i].type.indexOf('audio/')==0;
-        fileReader.onload = function(e) {
-          if (isAudio) {
-            this$App.loadMedia("data:audio/mp3;base64," + window.btoa(e.target.result), theFilename);
-          }
-          else {
-            this$App.loadMedia("data:video/mp4;base64," + window.btoa(e.target.result), theFilename);
-          }
-          this$App.setVideoMode(!isAudio);
-        };
-        //old readAsDataURL caused file to be truncated 
-        //fileReader.readAsDataURL(data.files[i]);
-        fileReader.readAsBinaryString(data.files[i]);
+        // Load the file directly rather than through a data url: this
+        // is faster, and the file can be autosaved as it is.
+        this$App.loadMedia(data.files[i], data.files[i].name);
       }
       // Assume a text file
       else {
@@ -207,6 +581,7 @@ ELRCMaker.prototype._setupUI = function() {
           // Otherwise, show import dialog
           else {
             $('#import textarea').val(text);
+            this$App.selectImportFormat(Lyrics.detectFormat(text));
             $('#import').modal();
           }
         };
@@ -218,35 +593,44 @@ ELRCMaker.prototype._setupUI = function() {
                 );
   // Some private methods
   this._getExportFilename = function() {
-    return (this.loadedFilename || 'export')+".lrc";
+    var format = ELRCMaker.exportFormats[$('#exportFormat').val()];
+    // A track is saved next to the lyrics, e.g. "song.translation.srt".
+    var track = format.options($('#export'), this).track;
+    return (this.loadedFilename || 'export')+(track ? "."+track : "")+"."+format.extension;
   };
   this._makeLyricsUriData = function() {
     // Note that this does not include a data: scheme.
     return "application/octet-stream:"+this._getExportFilename()+
       ":data:application/octet-stream," +
-      encodeURIComponent(this.lyrics.toELRC());
+      encodeURIComponent(this.exportLyrics());
   }
 };
 /**
  * Load the given media url.
  *
- * @param url
+ * @param url Either an url, or a Blob (e.g. a File dropped by the user).
  * @param filename Optional, used as a default export filename, for example.
- * @param initial Set if this is a load from localStorage, so it won't be
- *    written back there right away (since a data url can be large).
+ * @param initial Set if this is a restore of the autosaved session, so it
+ *    won't be written back there right away.
  */
 ELRCMaker.prototype.loadMedia = function(url, filename, initial) {
-  this.media.src = url;
+  if (this._mediaObjectURL) {
+    URL.revokeObjectURL(this._mediaObjectURL);
+    this._mediaObjectURL = null;
+  }
+  if (url instanceof Blob) {
+    this.setVideoMode(url.type.indexOf('video/') == 0);
+    this.media.src = this._mediaObjectURL = URL.createObjectURL(url);
+  }
+  else
+    this.media.src = url;
   this.loadedFilename = filename;
-  // Store in local storage, so it won't be lost in reload
-  // Disable this for now, since larger files (>1.5 MB?) cause Chrome to
-  // hang for multiple minutes before successfully completing.
-  //if (!initial) {
-  //    localStorage['audio'] = url;
-  //    localStorage['audioFilename'] = filename;
-  //}
-  //localStorage.removeItem('audio');
-  //localStorage.removeItem('audioFilename');
+  this.lyricsBox.setOnsets(null);
+  $('.snap-info').hide();
+  this.waveform.load(url);
+  // Autosave, so it won't be lost in reload
+  if (!initial)
+    this.store.save({media: url, mediaFilename: filename});
 };
 /**
  * Show video content, yes or no.
@@ -269,28 +653,88 @@ ELRCMaker.prototype.setVideoMode = function(on_or_off) {
  * @param lyrics
  */
 ELRCMaker.prototype.loadLyrics = function(lyrics) {
-  if (!(lyrics instanceof Lyrics)) {
-    if (document.getElementById("plainText").checked) {
-      lyrics = Lyrics.fromText(lyrics, this.media.duration);
-    }
-    else if (document.getElementById("LRC").checked) {
-      lyrics = Lyrics.fromLRC(lyrics, this.media.duration);
-    }
-  }
+  if (!(lyrics instanceof Lyrics))
+    lyrics = this.parseLyrics(lyrics);
   this.lyrics = lyrics;
   this.lyricsBox.setLyrics(lyrics);
-  console.log(this.lyrics);
-  // Store in local storage, so it won't be lost in reload
-  //localStorage['lyrics'] = JSON.stringify(lyrics);
-  // Auto-save feature
-  this.lyrics.on('timeChanged', function(index, time) {
-    //localStorage['lyrics'] = JSON.stringify(lyrics);
+  this.history.setLyrics(lyrics);
+  this.waveform.setLyrics(lyrics);
+  this.preview.setLyrics(lyrics);
+  // Autosave, so it won't be lost in reload. Every modification (and
+  // thus every "timeChanged") emits a "change" event; those of a batch
+  // are saved once, when it is over.
+  var store = this.store, depth = 0;
+  function save() {
+    store.save({lyrics: JSON.stringify(lyrics)});
   }
-                );
+  save();
+  lyrics.on('batchStart', function() {
+    depth++;
+  }
+           );
+  lyrics.on('batchEnd', function() {
+    if (--depth == 0)
+      save();
+  }
+           );
+  lyrics.on('change', function() {
+    if (!depth)
+      save();
+  }
+           );
   // Hide introduction, show, show lyrics
   $('#introduction').slideUp();
   $('#lyrics').slideDown();
 };
+/**
+ * Parse the given text in the format (and with the tokenization, see
+ * ``Lyrics.splitCharacters``) selected in the import dialog.
+ *
+ * @param text
+ * @return {Lyrics}
+ */
+ELRCMaker.prototype.parseLyrics = function(text) {
+  var tokenization = $('#tokenization').val();
+  if (document.getElementById("LRC").checked)
+    return Lyrics.fromLRC(text, this.media.duration, tokenization);
+  if (document.getElementById("SRT").checked)
+    return Lyrics.fromSRT(text, this.media.duration);
+  if (document.getElementById("VTT").checked)
+    return Lyrics.fromVTT(text, this.media.duration);
+  return Lyrics.fromText(text, this.media.duration, tokenization);
+};
+/**
+ * Replace the current lyrics with the given text (e.g. a corrected
+ * version), keeping the timestamps of the words which did not change (see
+ * ``Lyrics.merge``). Shows a summary of the changes.
+ *
+ * @param text
+ */
+ELRCMaker.prototype.mergeLyrics = function(text) {
+  var hunks = this.lyrics.merge(this.parseLyrics(text));
+  if (!hunks.length)
+    return this.showMessage('No words have changed.', 'info');
+  function describe(words) {
+    return '"' + Lyrics.joinWords(words) + '"';
+  }
+  var inserted = 0, removed = 0;
+  var details = $.map(hunks, function(hunk) {
+    inserted += hunk.inserted.length;
+    removed += hunk.removed.length;
+    if (!hunk.removed.length)
+      return 'added ' + describe(hunk.inserted);
+    if (!hunk.inserted.length)
+      return 'removed ' + describe(hunk.removed);
+    return describe(hunk.removed) + ' → ' + describe(hunk.inserted);
+  });
+  if (details.length > 5)
+    details = details.slice(0, 5).concat(['and ' + (details.length - 5) + ' more']);
+  this.showMessage('Merged the text: ' + inserted + ' words added ' +
+                   '(with their imported timestamps, if any), ' +
+                   removed + ' removed, the others kept their timestamps. ' +
+                   'Changes: ' + details.join('; ') + '.', 'info');
+  this.lyricsBox.setKeyboardCursorIndex(hunks[0].index);
+};
 /**
  * Change the playback speed. This ensures minimum/maximum rates rates, and
  * allows for string values to be passed for relative changes (e.g. "-0.1").
@@ -306,3 +750,287 @@ ELRCMaker.prototype.setPlaybackRate = function(rate) {
   this.media.playbackRate = newRate;
   $('#speed').text(newRate.toFixed(3));
 };
+/**
+ * Revert the last change made to the lyrics.
+ */
+ELRCMaker.prototype.undo = function() {
+  this._moveCursorTo(this.history.undo());
+};
+/**
+ * Reapply the last change that was undone.
+ */
+ELRCMaker.prototype.redo = function() {
+  this._moveCursorTo(this.history.redo());
+};
+/**
+ * Put the keyboard cursor on the word affected by the given changes, so
+ * the user can see what was undone/redone.
+ */
+ELRCMaker.prototype._moveCursorTo = function(changes) {
+  if (changes && changes[0].index != undefined)
+    this.lyricsBox.setKeyboardCursorIndex(changes[0].index);
+};
+/**
+ * Display an error message to the user.
+ *
+ * @param message
+ */
+ELRCMaker.prototype.showError = function(message) {
+  this.showMessage(message, 'danger');
+};
+/**
+ * Display a message to the user.
+ *
+ * @param message
+ * @param type The kind of Bootstrap alert, e.g. "info" or "danger".
+ */
+ELRCMaker.prototype.showMessage = function(message, type) {
+  var alert = $('<div class="alert alert-' + type + ' alert-dismissible">' +
+                '<button type="button" class="close" data-dismiss="alert">&times;</button>' +
+                '</div>');
+  alert.append($('<span>').text(message));
+  $('#messages').append(alert);
+};
+/**
+ * Change the settings of the provider used for the remote import, see
+ * ``Providers``. These are remembered across sessions.
+ *
+ * @param settings
+ */
+ELRCMaker.prototype.setProviderSettings = function(settings) {
+  this.providerSettings = $.extend({}, Providers.defaults, settings);
+  localStorage['providerSettings'] = JSON.stringify(this.providerSettings);
+};
+/**
+ * Return the provider settings stored by ``setProviderSettings``, or the
+ * defaults.
+ */
+ELRCMaker.loadProviderSettings = function() {
+  var settings;
+  try {
+    settings = JSON.parse(localStorage['providerSettings']);
+  }
+  catch (e) {
+  }
+  return $.extend({}, Providers.defaults, settings);
+};
+/**
+ * The formats available in the export dialog. ``options`` is called
+ * with the dialog and the app, and returns the options to pass to
+ * ``export``.
+ */
+ELRCMaker.exportFormats = {
+  elrc: {
+    description: 'Your file in ELRC format.',
+    extension: 'lrc',
+    options: function(dialog, app) {
+      // Fill in [length:] if the media is loaded.
+      return {length: isFinite(app.media.duration) ? app.media.duration : null,
+              voiceMarkers: dialog.find('.voiceMarkers').val(),
+              tracks: dialog.find('.tracks:checked').map(function() {
+                return this.value;
+              }).get()};
+    },
+    export: function(lyrics, options) {
+      return lyrics.toELRC(options);
+    }
+  },
+  srt: {
+    description: 'Subtitles in SubRip format, one per line.',
+    extension: 'srt',
+    options: function(dialog) {
+      return {maxDuration: parseFloat(dialog.find('.maxDuration').val()) ||
+              Lyrics.subtitleDefaults.maxDuration,
+              track: dialog.find('.track').val() || null};
+    },
+    export: function(lyrics, options) {
+      return lyrics.toSRT(options);
+    }
+  },
+  vtt: {
+    description: 'Subtitles in WebVTT format, one per line.',
+    extension: 'vtt',
+    options: function(dialog) {
+      return $.extend(ELRCMaker.exportFormats.srt.options(dialog), {
+        wordTimestamps: dialog.find('.wordTimestamps').prop('checked')
+      });
+    },
+    export: function(lyrics, options) {
+      return lyrics.toVTT(options);
+    }
+  },
+  ass: {
+    description: 'Karaoke subtitles in Advanced SubStation Alpha format, one event per line.',
+    extension: 'ass',
+    options: function(dialog) {
+      var defaults = Lyrics.assDefaults;
+      return {
+        maxDuration: ELRCMaker.exportFormats.srt.options(dialog).maxDuration,
+        karaoke: dialog.find('.karaoke').val(),
+        leadIn: parseFloat(dialog.find('.leadIn').val()) || 0,
+        style: {
+          Fontname: dialog.find('.fontname').val() || defaults.style.Fontname,
+          Fontsize: parseInt(dialog.find('.fontsize').val()) || defaults.style.Fontsize
+        }
+      };
+    },
+    export: function(lyrics, options) {
+      return lyrics.toASS(options);
+    }
+  }
+};
+/**
+ * Export the lyrics in the format selected in the export dialog.
+ *
+ * @return {String}
+ */
+ELRCMaker.prototype.exportLyrics = function() {
+  var format = ELRCMaker.exportFormats[$('#exportFormat').val()];
+  return format.export(this.lyrics, format.options($('#export'), this));
+};
+/**
+ * Preselect the given format in the import dialog.
+ *
+ * @param format One of "text", "lrc", "srt" or "vtt".
+ */
+ELRCMaker.prototype.selectImportFormat = function(format) {
+  var radios = {text: '#plainText', lrc: '#LRC', srt: '#SRT', vtt: '#VTT'};
+  $(radios[format] || radios.text).prop('checked', true);
+};
+/**
+ * Determine the words to shift or stretch: the first and the last timed
+ * word, either within the selection or within all the lyrics.
+ *
+ * @param selectionOnly
+ * @return Object with ``from`` and ``to``, or null if no word is timed.
+ */
+ELRCMaker.prototype._getShiftRange = function(selectionOnly) {
+  var selection = selectionOnly && this.lyricsBox.selection;
+  var from = selection ? selection.from : 0;
+  var to = selection ? selection.to : this.lyrics.length-1;
+  while (from <= to && this.lyrics[from].time == null)
+    from++;
+  while (to >= from && this.lyrics[to].time == null)
+    to--;
+  return from <= to ? {from: from, to: to} : null;
+};
+/**
+ * Parse a time entered by the user, either "mm:ss.xxx" or seconds.
+ *
+ * @param text
+ * @return {Number}
+ */
+ELRCMaker.parseTime = function(text) {
+  text = $.trim(text);
+  return text.indexOf(':') >= 0 ? Lyrics.parseLRCTime(text) : parseFloat(text);
+};
+/**
+ * Loop the line the keyboard cursor is in: from its start (minus the
+ * pre-roll) to the start of the next line, and start to play.
+ */
+ELRCMaker.prototype.loopCurrentLine = function() {
+  if (!this.lyrics)
+    return;
+  var lyrics = this.lyrics;
+  var lines = lyrics.getLines();
+  var i = lyrics.getLineOfWord(this.lyricsBox.keyboardCursorIndex || 0);
+  var line = lines[i], next = lines[i+1];
+  if (!line)
+    return;
+  var start = lyrics.getStartOfLine(i);
+  var end = next ? lyrics.getStartOfLine(i+1) :
+    line.end || lyrics.duration || this.media.duration;
+  if (!isFinite(start) || !isFinite(end) || end <= start) {
+    this.showError('Cannot loop this line, as its times are unknown.');
+    return;
+  }
+  this.loop.set(Math.max(0, start - this.preRoll), end);
+  this.media.currentTime = this.loop.start;
+  this.media.play();
+};
+/**
+ * Set the user's reaction time (in seconds), which is subtracted from
+ * every tap. This is remembered across sessions.
+ *
+ * @param seconds
+ */
+ELRCMaker.prototype.setLatency = function(seconds) {
+  this.lyricsBox.setLatency(seconds);
+  localStorage['tapLatency'] = seconds || '';
+  $('.latency').text(Math.round(seconds * 1000) + ' ms');
+};
+/**
+ * Detect the onsets in the loaded media (once), and use them for snapping.
+ */
+ELRCMaker.prototype._detectOnsets = function() {
+  var this$App = this;
+  this.waveform.detectOnsets(function(onsets) {
+    this$App.lyricsBox.setOnsets(onsets);
+  }
+                            );
+};
+/**
+ * Fill the shortcuts dialog with the current key bindings.
+ */
+ELRCMaker.prototype._renderShortcuts = function() {
+  var this$App = this;
+  var bindings = Shortcuts.getBindings();
+  var rows = $('#shortcuts .bindings').empty();
+  $.each(Shortcuts.actions, function(action, definition) {
+    var keys = $('<td>');
+    $.each(bindings[action], function(i, key) {
+      var remove = $('<a href="#" title="Remove">&times;</a>').click(function() {
+        bindings[action].splice(i, 1);
+        Shortcuts.setBindings(bindings);
+        this$App._renderShortcuts();
+        return false;
+      }
+                                                               );
+      keys.append($('<kbd>').text(key), ' ', remove, ' ');
+    }
+          );
+    var add = $('<button type="button" class="btn btn-default btn-xs">Add</button>');
+    add.click(function() {
+      this$App._capture = {action: action, key: null};
+      $('#shortcuts .capture').removeClass('alert-warning').addClass('alert-info')
+        .text('Press a key for "' + definition.label + '" (Escape to cancel).').show();
+      $(this).blur();
+    }
+             );
+    rows.append($('<tr>').append($('<td>').text(definition.label), keys,
+                                 $('<td>').append(add)));
+  }
+        );
+  this._capture = null;
+  $('#shortcuts .capture').hide();
+};
+/**
+ * Bind the given key to the action the shortcuts dialog is waiting for.
+ *
+ * A key that is already bound to another action is only moved over if it
+ * is pressed a second time.
+ *
+ * @param key A key name, see ``Shortcuts.keyName``.
+ */
+ELRCMaker.prototype._bindShortcut = function(key) {
+  var capture = this._capture;
+  if (key == 'Escape') {
+    this._renderShortcuts();
+    return;
+  }
+  var bindings = Shortcuts.getBindings();
+  var conflict = Shortcuts.findAction(key, capture.action);
+  if (conflict && capture.key != key) {
+    capture.key = key;
+    $('#shortcuts .capture').removeClass('alert-info').addClass('alert-warning')
+      .text('"' + key + '" is already bound to "' + Shortcuts.actions[conflict].label +
+            '". Press it again to use it for this action instead, or press another key.');
+    return;
+  }
+  if (conflict)
+    bindings[conflict].splice(bindings[conflict].indexOf(key), 1);
+  if (bindings[capture.action].indexOf(key) == -1)
+    bindings[capture.action].push(key);
+  Shortcuts.setBindings(bindings);
+  this._renderShortcuts();
+};
@@ -0,0 +1,133 @@
+/**
+ * Measures how late the user taps (reaction time plus the latency of the
+ * devices), by playing a steady click track with the Web Audio API and
+ * timing the taps along with it.
+ *
+ * Emits "progress" with the number of clicks played so far and the number
+ * of taps, and "done" with the result of ``LatencyCalibration.measure``.
+ *
+ * @constructor
+ */
+LatencyCalibration = function() {
+  EventEmitter.apply(this);
+  this.clicks = [];
+  this.taps = [];
+  this.running = false;
+  this._context = null;
+  this._timer = null;
+};
+$.extend(LatencyCalibration.prototype, EventEmitter.extend());
+/**
+ * Number of clicks, and the seconds between them.
+ */
+LatencyCalibration.CLICKS = 16;
+LatencyCalibration.INTERVAL = 0.6;
+/**
+ * The first clicks are not used, while the user gets into the rhythm.
+ */
+LatencyCalibration.WARMUP = 3;
+/**
+ * Whether calibration is possible in this browser.
+ */
+LatencyCalibration.isSupported = function() {
+  return !!(window.AudioContext || window.webkitAudioContext);
+};
+/**
+ * Start playing the click track. Taps are recorded until the end of the
+ * track; then "done" is emitted.
+ */
+LatencyCalibration.prototype.start = function() {
+  this.stop();
+  var AudioContext = window.AudioContext || window.webkitAudioContext;
+  var context = this._context = this._context || new AudioContext();
+  if (context.resume)
+    context.resume();
+  this.clicks = [];
+  this.taps = [];
+  this.running = true;
+  var start = context.currentTime + 1;
+  for (var i=0; i<LatencyCalibration.CLICKS; i++) {
+    var time = start + i * LatencyCalibration.INTERVAL;
+    // A short beep, higher during the warmup.
+    var oscillator = context.createOscillator();
+    var gain = context.createGain();
+    oscillator.frequency.value = i < LatencyCalibration.WARMUP ? 1500 : 1000;
+    gain.gain.setValueAtTime(0.5, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+    oscillator.connect(gain);
+    gain.connect(context.destination);
+    oscillator.start(time);
+    oscillator.stop(time + 0.06);
+    this.clicks.push(time);
+  }
+  this._end = start + LatencyCalibration.CLICKS * LatencyCalibration.INTERVAL;
+  this._step();
+};
+/**
+ * Report the progress while the click track plays, and finish once it is
+ * over.
+ */
+LatencyCalibration.prototype._step = function() {
+  var self = this;
+  var now = this._context.currentTime;
+  var played = $.grep(this.clicks, function(click) { return click <= now; }).length;
+  this.emit('progress', played, this.taps.length);
+  if (now < this._end) {
+    this._timer = setTimeout(function() { self._step(); }, 100);
+    return;
+  }
+  this.running = false;
+  this.emit('done', LatencyCalibration.measure(this.clicks, this.taps));
+};
+/**
+ * Record a tap, at the current time of the click track.
+ */
+LatencyCalibration.prototype.tap = function() {
+  if (this.running)
+    this.taps.push(this._context.currentTime);
+};
+/**
+ * Stop playing the click track, without a result.
+ */
+LatencyCalibration.prototype.stop = function() {
+  clearTimeout(this._timer);
+  this.running = false;
+  if (this._context && this._context.suspend)
+    this._context.suspend();
+};
+/**
+ * Match every click (after the warmup) with the nearest tap, at most half
+ * an interval away, and average the delays.
+ *
+ * Returns null if fewer than half of the clicks were tapped, otherwise
+ * ``{delay, deviation, count}``, all but ``count`` in seconds.
+ *
+ * @param clicks The times of the clicks.
+ * @param taps The times of the taps.
+ */
+LatencyCalibration.measure = function(clicks, taps) {
+  var delays = [];
+  for (var i=LatencyCalibration.WARMUP; i<clicks.length; i++) {
+    var best = null;
+    for (var j=0; j<taps.length; j++) {
+      var delay = taps[j] - clicks[i];
+      if (Math.abs(delay) < LatencyCalibration.INTERVAL / 2 &&
+          (best === null || Math.abs(delay) < Math.abs(best)))
+        best = delay;
+    }
+    if (best !== null)
+      delays.push(best);
+  }
+  if (delays.length < (clicks.length - LatencyCalibration.WARMUP) / 2)
+    return null;
+  var sum = 0, squares = 0;
+  $.each(delays, function(i, delay) {
+    sum += delay;
+  });
+  var mean = sum / delays.length;
+  $.each(delays, function(i, delay) {
+    squares += (delay - mean) * (delay - mean);
+  });
+  return {delay: mean, deviation: Math.sqrt(squares / delays.length),
+          count: delays.length};
+};
@@ -0,0 +1,129 @@
+/**
+ * Keeps an undo/redo history of the changes made to a ``Lyrics`` instance.
+ *
+ * Records the "change" events emitted by the lyrics. Everything emitted
+ * within one ``Lyrics.batch`` call (e.g. a timestamp set by the user, plus
+ * all the timestamps invalidated as a result) is undone/redone as one step.
+ *
+ * Emits "update" whenever the undo or redo stack changes.
+ *
+ * @param lyrics Optional, an instance of ``Lyrics``.
+ * @constructor
+ */
+UndoHistory = function(lyrics) {
+  EventEmitter.apply(this);
+  this.maxSteps = 500;
+  var self = this;
+  // Bound once, so the listeners can be removed again in ``setLyrics``.
+  this._onBatchStart = function() {
+    if (self._depth++ == 0)
+      self._group = [];
+  };
+  this._onBatchEnd = function() {
+    if (--self._depth == 0) {
+      var group = self._group;
+      self._group = null;
+      self._push(group);
+    }
+  };
+  this._onChange = function(change) {
+    // Changes caused by undo/redo themselves are not recorded.
+    if (self._applying)
+      return;
+    if (self._group)
+      self._group.push(change);
+    else
+      self._push([change]);
+  };
+  this.setLyrics(lyrics);
+};
+$.extend(UndoHistory.prototype, EventEmitter.extend());
+/**
+ * Connect with a new lyrics object. This clears the history.
+ *
+ * @param lyrics
+ */
+UndoHistory.prototype.setLyrics = function(lyrics) {
+  if (this.lyrics) {
+    this.lyrics.off('batchStart', this._onBatchStart);
+    this.lyrics.off('batchEnd', this._onBatchEnd);
+    this.lyrics.off('change', this._onChange);
+  }
+  this.lyrics = lyrics;
+  this.clear();
+  if (lyrics) {
+    lyrics.on('batchStart', this._onBatchStart);
+    lyrics.on('batchEnd', this._onBatchEnd);
+    lyrics.on('change', this._onChange);
+  }
+};
+/**
+ * Forget all recorded steps.
+ */
+UndoHistory.prototype.clear = function() {
+  this._undoStack = [];
+  this._redoStack = [];
+  this._group = null;
+  this._depth = 0;
+  this.emit('update');
+};
+UndoHistory.prototype.canUndo = function() {
+  return this._undoStack.length > 0;
+};
+UndoHistory.prototype.canRedo = function() {
+  return this._redoStack.length > 0;
+};
+/**
+ * Revert the most recent step.
+ *
+ * @return The changes that were reverted, or undefined if there was
+ *   nothing to undo.
+ */
+UndoHistory.prototype.undo = function() {
+  var group = this._undoStack.pop();
+  if (!group)
+    return;
+  this._apply(group.slice().reverse(), 'undo');
+  this._redoStack.push(group);
+  this.emit('update');
+  return group;
+};
+/**
+ * Reapply the most recently reverted step.
+ *
+ * @return The changes that were reapplied, or undefined if there was
+ *   nothing to redo.
+ */
+UndoHistory.prototype.redo = function() {
+  var group = this._redoStack.pop();
+  if (!group)
+    return;
+  this._apply(group, 'redo');
+  this._undoStack.push(group);
+  this.emit('update');
+  return group;
+};
+UndoHistory.prototype._apply = function(changes, method) {
+  this._applying = true;
+  try {
+    // As one batch, like the changes were made in the first place.
+    this.lyrics.batch(function() {
+      for (var i=0; i<changes.length; i++)
+        changes[i][method]();
+    });
+  }
+  finally {
+    this._applying = false;
+  }
+};
+UndoHistory.prototype._push = function(group) {
+  // A batch might not have changed anything at all.
+  if (!group.length)
+    return;
+  this._undoStack.push(group);
+  if (this._undoStack.length > this.maxSteps)
+    this._undoStack.shift();
+  // A new change makes the steps undone so far unreachable.
+  this._redoStack = [];
+  this.emit('update');
+};
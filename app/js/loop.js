@@ -0,0 +1,85 @@
+/**
+ * Repeats a section of the media, from ``start`` to ``end``, while it
+ * plays (an A-B loop). Both points must be set for the loop to be active.
+ *
+ * Seeking past the end leaves the loop; playing into the end jumps back
+ * to the start.
+ *
+ * Emits "change" with the start and end whenever they change.
+ *
+ * @param media HTML5 audio/video element to loop.
+ * @constructor
+ */
+PlaybackLoop = function(media) {
+  EventEmitter.apply(this);
+  this.media = media;
+  this.start = null;
+  this.end = null;
+  var self = this;
+  this._last = media.currentTime;
+  // The "timeupdate" event is too coarse, so check with every frame.
+  media.addEventListener('play', function() {
+    function step() {
+      self._check();
+      if (!media.paused)
+        self._frame = window.requestAnimationFrame(step);
+    }
+    window.cancelAnimationFrame(self._frame);
+    self._last = media.currentTime;
+    step();
+  }
+                        );
+  media.addEventListener('seeked', function() {
+    self._last = media.currentTime;
+  }
+                        );
+};
+$.extend(PlaybackLoop.prototype, EventEmitter.extend());
+/**
+ * Whether both loop points are set.
+ */
+PlaybackLoop.prototype.isActive = function() {
+  return this.start != null && this.end != null;
+};
+/**
+ * Set both loop points (in seconds). Either may be null.
+ *
+ * @param start
+ * @param end
+ */
+PlaybackLoop.prototype.set = function(start, end) {
+  this.start = start;
+  this.end = end;
+  this.emit('change', start, end);
+};
+/**
+ * Set the start (A). An end which is not after it is removed.
+ *
+ * @param time
+ */
+PlaybackLoop.prototype.setStart = function(time) {
+  this.set(time, this.end != null && this.end > time ? this.end : null);
+};
+/**
+ * Set the end (B). A start which is not before it is removed.
+ *
+ * @param time
+ */
+PlaybackLoop.prototype.setEnd = function(time) {
+  this.set(this.start != null && this.start < time ? this.start : null, time);
+};
+/**
+ * Remove both loop points.
+ */
+PlaybackLoop.prototype.clear = function() {
+  this.set(null, null);
+};
+/**
+ * Jump back to the start if the end was reached since the last check.
+ */
+PlaybackLoop.prototype._check = function() {
+  var time = this.media.currentTime;
+  if (this.isActive() && this._last < this.end && time >= this.end)
+    this.media.currentTime = time = this.start;
+  this._last = time;
+};
@@ -1,52 +1,1236 @@
 /**
- * This represents a lyrics file - a sequence of words with timestamps
- * attached.
+ * The lyrics model, with its importers and exporters.
+ *
+ * Does not depend on the DOM or jQuery, so it can be used from Node as
+ * well: ``require('./lyrics.js').Lyrics``. In the browser, ``Lyrics`` is
+ * a global.
+ */
+;(function(exports) {
+
+var EventEmitter = exports.EventEmitter || require('./EventEmitter.js').EventEmitter;
+var assert = exports.assert || require('./utils.js').assert;
+
+/**
+ * Copy the properties of all further arguments onto ``target``.
+ */
+function extend(target) {
+  for (var i=1; i<arguments.length; i++) {
+    for (var key in arguments[i]) {
+      if (arguments[i].hasOwnProperty(key))
+        target[key] = arguments[i][key];
+    }
+  }
+  return target;
+}
+/**
+ * Like ``$.map``: call ``fn(item, index)`` for every item, and collect the
+ * results. Null and undefined results are skipped, arrays are flattened.
+ */
+function map(array, fn) {
+  var result = [];
+  for (var i=0; i<array.length; i++) {
+    var value = fn(array[i], i);
+    if (value != null)
+      result = result.concat(value);
+  }
+  return result;
+}
+/**
+ * Like ``$.each``: call ``fn(key, value)`` for every item of an array or
+ * object.
+ */
+function each(object, fn) {
+  if (object instanceof Array) {
+    for (var i=0; i<object.length; i++)
+      fn(i, object[i]);
+  }
+  else {
+    for (var key in object) {
+      if (object.hasOwnProperty(key))
+        fn(key, object[key]);
+    }
+  }
+}
+/**
+ * Escape the characters which start tags or entities in WebVTT cue text;
+ * ``Lyrics.fromCues`` decodes them again.
+ */
+function escapeCueText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+/**
+ * Create a line of ``Lyrics``, see ``getLines``.
+ */
+function newLine(words, time, end, voice, tracks) {
+  return {time: time || null, end: end || null, voice: voice || null,
+          tracks: tracks || {}, words: words};
+}
+/**
+ * The voice of the word with the given index within a line: its own, or
+ * the line's.
+ */
+function voiceOf(line, j) {
+  return line.words[j].voice || line.voice || null;
+}
+/**
+ * The voice markers (see ``Lyrics.toVoiceMarker``) to write before the
+ * word with the given index within a line: the voice of the line before
+ * its first word, and the voice of a word where it differs from the word
+ * before it.
+ */
+function voiceMarkers(line, j, style) {
+  var result = '', voice = voiceOf(line, j);
+  if (j == 0 && line.voice)
+    result += Lyrics.toVoiceMarker(line.voice, style) + ' ';
+  if (voice && voice != (j > 0 ? voiceOf(line, j-1) : line.voice) &&
+      !line.words[j].joined)
+    result += Lyrics.toVoiceMarker(voice, style) + ' ';
+  return result;
+}
+
+/**
+ * The lines written after a line for its tracks, in the order of
+ * ``Lyrics.TRACKS``: ``fn(track, text)`` returns each of them, or null to
+ * leave the track out.
+ */
+function trackLines(line, fn) {
+  return map(Object.keys(Lyrics.TRACKS), function(track) {
+    var text = line.tracks[track] && fn(track, line.tracks[track]);
+    return text != null ? text + '\n' : null;
+  }).join('');
+}
+
+/**
+ * This represents a lyrics file - a sequence of lines, each of which is a
+ * sequence of words with timestamps attached.
+ *
+ * The instance itself is an array of all the words, in order, so words are
+ * addressed by their index throughout. The lines (see ``getLines``) group
+ * them; they can only be changed with the methods below.
+ *
+ * A word may be broken up into several syllables, each of which is an
+ * entry of its own (and therefore can be timed on its own). All but the
+ * first syllable of a word have ``joined`` set, meaning they attach to the
+ * preceding entry without whitespace.
+ *
+ * Besides its start ``time``, a word can have an explicit ``end``. If not,
+ * it lasts until the next timestamp (see ``getEndOfWord``). Lines have a
+ * ``time`` and ``end`` of their own, for when the line starts to be shown
+ * (e.g. the LRC line timestamp) and when it is over.
+ *
+ * In duets, lines and words can be assigned to a ``voice`` (see
+ * ``setVoiceOfLine``). A word can also have a reading (``ruby``, e.g.
+ * furigana) shown above it, see ``setRubyOfWord``.
+ *
+ * Besides its words, a line can have secondary texts which are not timed,
+ * such as a translation, see ``setTrackOfLine``.
  *
  * @param duration The maximum timestamp. This is used to approximate
  *   timestamps if a word is not timed. Can also be set later (e.g.
  *   ondurationchange event).
  * @constructor
  */
-Lyrics = function(duration) {
+var Lyrics = function(duration) {
   EventEmitter.apply(this);
   this.duration = duration;
+  // LRC ID tags, e.g. {ar: 'Artist', ti: 'Title'}.
+  this.metadata = {};
+  this.lines = [];
+  this._lineOfWord = [];
 };
 Lyrics.prototype = new Array();
-$.extend(Lyrics.prototype, EventEmitter.extend());
+extend(Lyrics.prototype, EventEmitter.extend());
+/**
+ * Rebuild the list of words (the instance itself) from the lines, after
+ * the lines changed.
+ *
+ * Internal usage.
+ */
+Lyrics.prototype._reindex = function() {
+  this.splice(0, this.length);
+  this._lineOfWord = [];
+  for (var k=0; k<this.lines.length; k++) {
+    var line = this.lines[k];
+    line.index = this.length;
+    for (var i=0; i<line.words.length; i++) {
+      this.push(line.words[i]);
+      this._lineOfWord.push(k);
+    }
+  }
+};
+/**
+ * Return the lines, in order. Each one is an object with ``words`` (its
+ * entries, there is always at least one), ``index`` (the index of the
+ * first word), ``time`` and ``end`` (when the line starts and ends, null
+ * if not set), ``voice`` (who sings it, see ``setVoiceOfLine``) and
+ * ``tracks`` (its secondary texts, see ``setTrackOfLine``).
+ *
+ * The lines must not be modified directly; use ``insertLines``,
+ * ``setTimeOfLine`` etc.
+ *
+ * @return {Array}
+ */
+Lyrics.prototype.getLines = function() {
+  return this.lines;
+};
+/**
+ * Return the index of the line the word at the given index belongs to.
+ *
+ * @param index
+ * @return {Number}
+ */
+Lyrics.prototype.getLineOfWord = function(index) {
+  return this._lineOfWord[index];
+};
+/**
+ * Return when the line with the given index starts: its own time, or the
+ * time of its first word (approximated, if it is not timed).
+ *
+ * @param lineIndex
+ * @return {Number}
+ */
+Lyrics.prototype.getStartOfLine = function(lineIndex) {
+  var line = this.lines[lineIndex];
+  return line.time || line.words[0].time || this.getApproximateTime(line.index);
+};
 /**
  * Set the timestamp for the word at the given index.
  *
- * Will validate all timestamp of subsequent words accordingly.
+ * Will validate all timestamp of subsequent words accordingly. Removing
+ * the timestamp also removes the end time of the word.
  *
- * Will trigger a "timeChanged" event for every change made.
+ * Will trigger a "timeChanged" event for every change made. All of them
+ * are part of a single batch (see ``batch``), so they can be undone as one.
  *
  * @param index
  * @param time
  */
 Lyrics.prototype.setTimeOfWord = function(index, time) {
-  var hasChanged = this[index].time != time;
-  this[index].time = time;
-  if (hasChanged) this.emit('timeChanged', index, time);
-  // If the time was actually deleted, we don't need to / mustn't run the
-  // validation passes below.
-  if (time == null || time == undefined)
+  this.batch(function() {
+    this._changeWord(index, 'time', time);
+    // If the time was actually deleted, we don't need to / mustn't run the
+    // validation passes below.
+    if (time == null || time == undefined) {
+      this._changeWord(index, 'end', null);
+      return;
+    }
+    if (this[index].end && this[index].end <= time)
+      this._changeWord(index, 'end', null);
+    var position = this._getPosition(this._lineOfWord[index], index, 'time');
+    this._validateAround(position, position, time, time);
+  });
+};
+/**
+ * Set the end time of the word at the given index.
+ *
+ * Subsequent timestamps earlier than the end become invalid and are
+ * removed, as in ``setTimeOfWord``. An end before the word's start is
+ * ignored.
+ *
+ * Will trigger an "endChanged" event for every end time changed.
+ *
+ * @param index
+ * @param end
+ */
+Lyrics.prototype.setEndOfWord = function(index, end) {
+  if (end != null && !(end > this[index].time))
     return;
-  // Search subsequent words, and remove any timestamps that have
-  // become invalid (due to being older than the current word).
-  for (var i=index+1; i<this.length; i++) {
-    if (this[i].time && this[i].time <= time) {
-      this[i].time = null;
-      this.emit('timeChanged', i, null);
+  this.batch(function() {
+    this._changeWord(index, 'end', end);
+    var line = this._lineOfWord[index];
+    if (end != null)
+      this._validateAround(this._getPosition(line, index, 'time'),
+                           this._getPosition(line, index, 'end'),
+                           this[index].time, end);
+  });
+};
+/**
+ * Return when the word at the given index ends: its explicit end if set,
+ * otherwise the next timestamp within the line (the start of the next
+ * word, or the line's end). Null if unknown.
+ *
+ * @param index
+ * @return {Number}
+ */
+Lyrics.prototype.getEndOfWord = function(index) {
+  if (this[index].end)
+    return this[index].end;
+  var line = this.lines[this._lineOfWord[index]];
+  for (var i=index+1; i<line.index+line.words.length; i++) {
+    if (this[i].time)
+      return this[i].time;
+  }
+  return line.end || null;
+};
+/**
+ * Set when the line with the given index starts to be shown. Timestamps
+ * which are not in order with it are removed, as in ``setTimeOfWord``.
+ *
+ * Emits "lineTimeChanged" for every line start changed.
+ *
+ * @param lineIndex
+ * @param time
+ */
+Lyrics.prototype.setTimeOfLine = function(lineIndex, time) {
+  this.batch(function() {
+    this._changeLine(lineIndex, 'time', time);
+    if (time != null) {
+      var position = this._getPosition(lineIndex, null, 'time');
+      this._validateAround(position, position, time, time, true);
+    }
+  });
+};
+/**
+ * Set when the line with the given index ends. Timestamps which are not
+ * in order with it are removed, as in ``setTimeOfWord``.
+ *
+ * Emits "lineEndChanged" for every line end changed.
+ *
+ * @param lineIndex
+ * @param end
+ */
+Lyrics.prototype.setEndOfLine = function(lineIndex, end) {
+  this.batch(function() {
+    this._changeLine(lineIndex, 'end', end);
+    if (end != null) {
+      var position = this._getPosition(lineIndex, null, 'end');
+      this._validateAround(position, position, end, end, true);
+    }
+  });
+};
+/**
+ * Set who sings the line with the given index: one of
+ * ``Lyrics.VOICES``, or null if it is not a duet.
+ *
+ * Emits "lineVoiceChanged" and "change".
+ *
+ * @param lineIndex
+ * @param voice
+ */
+Lyrics.prototype.setVoiceOfLine = function(lineIndex, voice) {
+  this._changeLine(lineIndex, 'voice', voice || null);
+};
+/**
+ * Set who sings the word at the given index (with all syllables of the
+ * word), if it is not the voice of its line, e.g. a part that overlaps
+ * with the line. Null (or the voice of the line) means the voice of the
+ * line.
+ *
+ * Emits "voiceChanged" for every syllable changed.
+ *
+ * @param index
+ * @param voice
+ */
+Lyrics.prototype.setVoiceOfWord = function(index, voice) {
+  var line = this.lines[this._lineOfWord[index]];
+  if (voice == line.voice)
+    voice = null;
+  var start = index, end = index + 1;
+  while (start > line.index && this[start].joined)
+    start--;
+  while (end < line.index + line.words.length && this[end].joined)
+    end++;
+  this.batch(function() {
+    for (var i=start; i<end; i++)
+      this._changeWord(i, 'voice', voice || null);
+  });
+};
+/**
+ * Return who sings the word at the given index: its own voice, or the
+ * voice of its line (null if none).
+ *
+ * @param index
+ * @return {String}
+ */
+Lyrics.prototype.getVoiceOfWord = function(index) {
+  return voiceOf(this.lines[this._lineOfWord[index]],
+                 index - this.lines[this._lineOfWord[index]].index);
+};
+/**
+ * Set the reading shown above the word at the given index (e.g. the
+ * furigana of kanji), as given to ``Lyrics.parseRuby``, or null to remove
+ * it. The morae of a reading can be timed on their own, see
+ * ``setTimeOfMora``; they keep their times if the reading stays the same.
+ *
+ * Emits "rubyChanged" and "change".
+ *
+ * @param index
+ * @param reading
+ */
+Lyrics.prototype.setRubyOfWord = function(index, reading) {
+  var ruby = reading ? Lyrics.parseRuby(reading) : null;
+  var old = this[index].ruby;
+  if (ruby && old && Lyrics.formatRuby(ruby) == Lyrics.formatRuby(old))
+    return;
+  this._changeWord(index, 'ruby', ruby);
+};
+/**
+ * Set the time of a mora of the reading of the word at the given index,
+ * or remove it with null. The first mora always starts with the word, so
+ * ``mora`` must be one of the others. Morae whose times are not in order
+ * with it lose them.
+ *
+ * Emits "rubyChanged" and "change".
+ *
+ * @param index
+ * @param mora
+ * @param time
+ */
+Lyrics.prototype.setTimeOfMora = function(index, mora, time) {
+  var ruby = this[index].ruby;
+  assert(ruby && mora > 0 && mora < ruby.length, 'There is no such mora to time.');
+  time = time == null ? null : time;
+  // The reading is replaced as a whole, so that the change can be undone.
+  this._changeWord(index, 'ruby', map(ruby, function(item, j) {
+    var other = item.time;
+    if (j == mora)
+      other = time;
+    else if (time != null && other != null && (j < mora ? other >= time : other <= time))
+      other = null;
+    return {text: item.text, time: other};
+  }));
+};
+/**
+ * Parse a reading (see ``setRubyOfWord``) into its morae, a list of
+ * ``{text, time}``. Every kana is a mora (see ``splitCharacters``),
+ * unless the reading is divided with "|" (e.g. "きょ|う"). A LRC
+ * timestamp (e.g. "[00:12.34]") before a mora is its time.
+ *
+ * @param reading
+ * @return {Array}
+ */
+Lyrics.parseRuby = function(reading) {
+  var explicit = reading.indexOf('|') != -1;
+  var token = /\[(\d+:\d+(?:[.:]\d+)?)\]|\||([^\[|]+|\[)/g;
+  var morae = [], time = null, match;
+  while ((match = token.exec(reading))) {
+    if (match[1])
+      time = Lyrics.parseLRCTime(match[1]);
+    else if (match[2]) {
+      each(explicit ? [match[2]] : Lyrics.splitCharacters(match[2], 'characters'), function(i, text) {
+        morae.push({text: text, time: i == 0 && morae.length ? time : null});
+      });
+      time = null;
     }
   }
-  // Search earlier words, and validate those as well (remember, the user
-  // can easily jump to a later word and set the time to something earlier).
-  for (var i=index-1; i>=0; i--) {
-    if (this[i].time && this[i].time >= time) {
-      this[i].time = null;
-      this.emit('timeChanged', i, null);
+  return morae;
+};
+/**
+ * Return the reading of the given morae as text for ``parseRuby``, with
+ * their times if ``withTimes`` is given.
+ *
+ * @param ruby
+ * @param withTimes
+ * @return {String}
+ */
+Lyrics.formatRuby = function(ruby, withTimes) {
+  var texts = map(ruby, function(mora) {
+    return mora.text;
+  });
+  // Only divide the morae with "|" where they are not single kana.
+  var explicit = Lyrics.splitCharacters(texts.join(''), 'characters').join('|') != texts.join('|');
+  return map(ruby, function(mora, j) {
+    return (j > 0 && explicit ? '|' : '') +
+      (withTimes && mora.time != null ? '[' + Lyrics.toTimer(mora.time) + ']' : '') +
+      mora.text;
+  }).join('');
+};
+/**
+ * The voices of duets (see ``setVoiceOfLine``). ``marker`` is the letter
+ * of the voice in "[M]", "[F]" and "[D]" markers, if it has one, and
+ * ``color`` the colour it is shown and exported with.
+ */
+Lyrics.VOICES = {
+  v1: {label: 'Voice 1', marker: 'M', color: '#1f77b4'},
+  v2: {label: 'Voice 2', marker: 'F', color: '#d62728'},
+  v3: {label: 'Voice 3', color: '#8c564b'},
+  v4: {label: 'Voice 4', color: '#ff7f0e'},
+  duet: {label: 'Together', marker: 'D', color: '#9467bd'}
+};
+/**
+ * Return the marker written before the words of the given voice in LRC
+ * files and text: "v1:", "v2:" etc., or with ``style`` "gender", "[M]",
+ * "[F]" and "[D]". A voice without a marker of the chosen style is
+ * written in the other one.
+ *
+ * @param voice
+ * @param style Optional.
+ * @return {String}
+ */
+Lyrics.toVoiceMarker = function(voice, style) {
+  var marker = Lyrics.VOICES[voice].marker;
+  if (marker && (style == 'gender' || voice == 'duet'))
+    return '[' + marker + ']';
+  return voice + ':';
+};
+/**
+ * Return the voice of a marker as written by ``toVoiceMarker``, or null
+ * if the text is not one.
+ *
+ * @param text
+ * @return {String}
+ */
+Lyrics.parseVoiceMarker = function(text) {
+  var match = text.match(/^(?:(v\d+):|\[([MFD])\])$/);
+  var voice = null;
+  if (match && match[1])
+    voice = match[1];
+  else if (match) {
+    each(Lyrics.VOICES, function(key, definition) {
+      if (definition.marker == match[2])
+        voice = key;
+    });
+  }
+  return Lyrics.VOICES[voice] ? voice : null;
+};
+/**
+ * The secondary tracks of the lines (see ``setTrackOfLine``). ``marker``
+ * starts the lines of the track in text, see ``fromText``.
+ */
+Lyrics.TRACKS = {
+  translation: {label: 'Translation', marker: 'tr:'},
+  romanization: {label: 'Romanization', marker: 'ro:'}
+};
+/**
+ * Set the text of the given track (see ``Lyrics.TRACKS``) of the line
+ * with the given index, e.g. its translation. It is not part of the words
+ * and is not timed; the whole text goes with the line. An empty text
+ * removes it.
+ *
+ * Emits "lineTracksChanged" and "change".
+ *
+ * @param lineIndex
+ * @param track
+ * @param text
+ */
+Lyrics.prototype.setTrackOfLine = function(lineIndex, track, text) {
+  assert(Lyrics.TRACKS[track], 'There is no such track.');
+  var tracks = extend({}, this.lines[lineIndex].tracks);
+  text = (text || '').trim();
+  if ((tracks[track] || '') == text)
+    return;
+  if (text)
+    tracks[track] = text;
+  else
+    delete tracks[track];
+  this._changeLine(lineIndex, 'tracks', tracks);
+};
+/**
+ * The position of a timestamp in the order all timestamps must be in:
+ * every line has a position for its start, then two for each of its words
+ * (start and end), then one for its end. See ``_getTimes``.
+ *
+ * @param lineIndex
+ * @param index The index of the word, or null for the times of the line.
+ * @param key "time" or "end".
+ *
+ * Internal usage.
+ */
+Lyrics.prototype._getPosition = function(lineIndex, index, key) {
+  var line = this.lines[lineIndex];
+  if (index == null)
+    return 2 * (line.index + lineIndex) + (key == 'end' ? 2 * line.words.length + 1 : 0);
+  return 2 * (index + lineIndex) + (key == 'end' ? 2 : 1);
+};
+/**
+ * Return all the places a timestamp can be, in the order of their
+ * positions (see ``_getPosition``): objects with ``line`` (the index of
+ * the line), ``index`` (the index of the word, null for the line's own
+ * times), ``target`` (the line or word) and ``key`` ("time" or "end").
+ *
+ * Internal usage.
+ */
+Lyrics.prototype._getTimes = function() {
+  var times = [];
+  each(this.lines, function(k, line) {
+    times.push({line: k, index: null, target: line, key: 'time'});
+    each(line.words, function(j, word) {
+      times.push({line: k, index: line.index + j, target: word, key: 'time'});
+      times.push({line: k, index: line.index + j, target: word, key: 'end'});
+    });
+    times.push({line: k, index: null, target: line, key: 'end'});
+  });
+  return times;
+};
+/**
+ * Remove timestamps which are invalid because they are not in order with
+ * the times ``min`` to ``max``, which are at the positions ``from`` to
+ * ``to`` (inclusive, see ``_getPosition``).
+ *
+ * Two words cannot start at the same time, but other timestamps may be
+ * equal (e.g. a line can start with its first word). With ``loose``, the
+ * times being validated are not the start of a word.
+ *
+ * Internal usage.
+ */
+Lyrics.prototype._validateAround = function(from, to, min, max, loose) {
+  var times = this._getTimes();
+  for (var i=0; i<times.length; i++) {
+    var slot = times[i], time = slot.target[slot.key];
+    if (!time || (i >= from && i <= to))
+      continue;
+    var strict = !loose && slot.index != null && slot.key == 'time';
+    // Search earlier timestamps as well (remember, the user can easily
+    // jump to a later word and set the time to something earlier).
+    var invalid = i < from ?
+        time > min || (strict && time == min) :
+        time < max || (strict && time == max);
+    if (!invalid)
+      continue;
+    if (slot.index == null)
+      this._changeLine(slot.line, slot.key, null);
+    else {
+      this._changeWord(slot.index, slot.key, null);
+      // An earlier word loses its end along with its start.
+      if (i < from && slot.key == 'time')
+        this._changeWord(slot.index, 'end', null);
+    }
+  }
+};
+/**
+ * Run ``fn`` (bound to this instance) as a single logical change.
+ *
+ * Emits "batchStart" before and "batchEnd" after; batches can be nested.
+ * Listeners such as ``UndoHistory`` use this to group the individual
+ * "change" events emitted in between.
+ *
+ * @param fn
+ */
+Lyrics.prototype.batch = function(fn) {
+  this.emit('batchStart');
+  try {
+    return fn.call(this);
+  }
+  finally {
+    this.emit('batchEnd');
+  }
+};
+/**
+ * Set a property of a single word, without any validation.
+ *
+ * Emits the event given in ``Lyrics.WORD_EVENTS`` for the property (e.g.
+ * "timeChanged"), as well as a "change" event which carries an ``undo``
+ * and ``redo`` function to revert/reapply the change.
+ *
+ * Internal usage.
+ */
+Lyrics.prototype._changeWord = function(index, key, value) {
+  var oldValue = this[index][key];
+  if (oldValue == value)
+    return;
+  this[index][key] = value;
+  this.emit(Lyrics.WORD_EVENTS[key], index, value);
+  var self = this;
+  this.emit('change', {
+    undo: function() { self._changeWord(index, key, oldValue); },
+    redo: function() { self._changeWord(index, key, value); },
+    index: index
+  });
+};
+Lyrics.WORD_EVENTS = {
+  time: 'timeChanged',
+  end: 'endChanged',
+  text: 'textChanged',
+  joined: 'textChanged',
+  voice: 'voiceChanged',
+  ruby: 'rubyChanged'
+};
+/**
+ * Set a property of a line, like ``_changeWord``. The events are given in
+ * ``Lyrics.LINE_EVENTS``, the "change" event has the index of the line's
+ * first word.
+ *
+ * Internal usage.
+ */
+Lyrics.prototype._changeLine = function(lineIndex, key, value) {
+  var line = this.lines[lineIndex];
+  var oldValue = line[key];
+  if (oldValue == value)
+    return;
+  line[key] = value;
+  this.emit(Lyrics.LINE_EVENTS[key], lineIndex, value);
+  var self = this;
+  this.emit('change', {
+    undo: function() { self._changeLine(lineIndex, key, oldValue); },
+    redo: function() { self._changeLine(lineIndex, key, value); },
+    index: line.index
+  });
+};
+Lyrics.LINE_EVENTS = {
+  time: 'lineTimeChanged',
+  end: 'lineEndChanged',
+  voice: 'lineVoiceChanged',
+  tracks: 'lineTracksChanged'
+};
+/**
+ * Insert the given words before the word at ``index``, into its line (or
+ * at the end of the last line, if ``index`` is the number of words).
+ *
+ * Emits "wordsInserted" with the index and the number of words, and a
+ * "change" event (see ``_changeWord``).
+ *
+ * @param index
+ * @param words
+ */
+Lyrics.prototype.insertWords = function(index, words) {
+  if (!this.lines.length)
+    return this.insertLines(0, [{words: words}]);
+  var lineIndex = index < this.length ? this._lineOfWord[index] : this.lines.length-1;
+  this._insertIntoLine(lineIndex, index - this.lines[lineIndex].index, words);
+};
+/**
+ * Remove ``count`` words of the same line, starting at ``index``, along
+ * with their times. If no words are left, the line is removed (see
+ * ``removeLines``).
+ *
+ * Emits "wordsRemoved" with the index and the number of words, and a
+ * "change" event (see ``_changeWord``).
+ *
+ * @param index
+ * @param count
+ */
+Lyrics.prototype.removeWords = function(index, count) {
+  var lineIndex = this._lineOfWord[index];
+  if (!count || lineIndex == null)
+    return;
+  var line = this.lines[lineIndex];
+  assert(this._lineOfWord[index+count-1] === lineIndex,
+         'Can only remove words of the same line.');
+  if (count == line.words.length)
+    return this.removeLines(lineIndex, 1);
+  this._removeFromLine(lineIndex, index - line.index, count);
+};
+/**
+ * Insert words into the line with the given index, before the word at
+ * ``position`` within the line.
+ *
+ * Internal usage, see ``insertWords``.
+ */
+Lyrics.prototype._insertIntoLine = function(lineIndex, position, words) {
+  if (!words.length)
+    return;
+  var line = this.lines[lineIndex];
+  line.words.splice.apply(line.words, [position, 0].concat(words));
+  this._reindex();
+  var index = line.index + position;
+  this.emit('wordsInserted', index, words.length);
+  var self = this;
+  this.emit('change', {
+    undo: function() { self._removeFromLine(lineIndex, position, words.length); },
+    redo: function() { self._insertIntoLine(lineIndex, position, words); },
+    index: index
+  });
+};
+/**
+ * Remove words from the line with the given index, without removing the
+ * line.
+ *
+ * Internal usage, see ``removeWords``.
+ */
+Lyrics.prototype._removeFromLine = function(lineIndex, position, count) {
+  var line = this.lines[lineIndex];
+  var removed = line.words.splice(position, count);
+  if (!removed.length)
+    return;
+  this._reindex();
+  var index = line.index + position;
+  this.emit('wordsRemoved', index, removed.length);
+  var self = this;
+  this.emit('change', {
+    undo: function() { self._insertIntoLine(lineIndex, position, removed); },
+    redo: function() { self._removeFromLine(lineIndex, position, removed.length); },
+    index: index
+  });
+};
+/**
+ * Insert the given lines before the line with the given index. Each line
+ * is an object with ``words`` and optionally ``time`` and ``end`` (see
+ * ``getLines``); lines without words are left out.
+ *
+ * Emits "linesChanged", "wordsInserted" with the index and number of the
+ * words inserted, and a "change" event (see ``_changeWord``).
+ *
+ * @param lineIndex
+ * @param lines
+ */
+Lyrics.prototype.insertLines = function(lineIndex, lines) {
+  lines = map(lines, function(line) {
+    if (line.words.length)
+      return newLine(line.words, line.time, line.end, line.voice, line.tracks);
+  });
+  if (!lines.length)
+    return;
+  this.lines.splice.apply(this.lines, [lineIndex, 0].concat(lines));
+  this._reindex();
+  var index = lines[0].index, count = 0;
+  each(lines, function(i, line) {
+    count += line.words.length;
+  });
+  this.emit('linesChanged');
+  this.emit('wordsInserted', index, count);
+  var self = this;
+  this.emit('change', {
+    undo: function() { self.removeLines(lineIndex, lines.length); },
+    redo: function() { self.insertLines(lineIndex, lines); },
+    index: index
+  });
+};
+/**
+ * Remove ``count`` lines, starting with the line with the given index.
+ *
+ * Emits "linesChanged", "wordsRemoved" with the index and number of the
+ * words removed, and a "change" event (see ``_changeWord``).
+ *
+ * @param lineIndex
+ * @param count
+ */
+Lyrics.prototype.removeLines = function(lineIndex, count) {
+  var removed = this.lines.splice(lineIndex, count);
+  if (!removed.length)
+    return;
+  var index = removed[0].index, words = 0;
+  each(removed, function(i, line) {
+    words += line.words.length;
+  });
+  this._reindex();
+  this.emit('linesChanged');
+  this.emit('wordsRemoved', index, words);
+  var self = this;
+  this.emit('change', {
+    undo: function() { self.insertLines(lineIndex, removed); },
+    redo: function() { self.removeLines(lineIndex, removed.length); },
+    index: index
+  });
+};
+/**
+ * Start a new line with the word at the given index, which must not be
+ * the first of its line. The new line takes over the end and the voice of
+ * the line; the tracks (see ``setTrackOfLine``) stay with the line.
+ *
+ * Emits "linesChanged" and "change".
+ *
+ * @param index
+ */
+Lyrics.prototype.splitLine = function(index) {
+  var lineIndex = this._lineOfWord[index], line = this.lines[lineIndex];
+  assert(lineIndex != null && index > line.index,
+         'Can only split a line before one of its words, but the first.');
+  this.batch(function() {
+    if (this[index].joined)
+      this._changeWord(index, 'joined', false);
+    this._splitLine(lineIndex, index - line.index);
+    this._changeLine(lineIndex+1, 'voice', line.voice);
+  });
+};
+/**
+ * Join the line with the given index with the next one. The joined line
+ * ends when the next one did; the start of the next line is dropped. If
+ * the next line has another voice, its words keep it as their own. The
+ * texts of its tracks are appended to those of the line.
+ *
+ * Emits "linesChanged" and "change".
+ *
+ * @param lineIndex
+ */
+Lyrics.prototype.joinLines = function(lineIndex) {
+  var line = this.lines[lineIndex], next = this.lines[lineIndex+1];
+  assert(line && next, 'There is no next line to join with.');
+  this.batch(function() {
+    this._changeLine(lineIndex+1, 'time', null);
+    this._changeLine(lineIndex, 'end', null);
+    if (next.voice && next.voice != line.voice) {
+      for (var i=next.index; i<next.index + next.words.length; i++) {
+        if (!this[i].voice)
+          this._changeWord(i, 'voice', next.voice);
+      }
+    }
+    this._changeLine(lineIndex+1, 'voice', null);
+    if (Object.keys(next.tracks).length) {
+      var tracks = extend({}, line.tracks);
+      each(next.tracks, function(track, text) {
+        tracks[track] = tracks[track] ? tracks[track] + ' ' + text : text;
+      });
+      this._changeLine(lineIndex, 'tracks', tracks);
+      this._changeLine(lineIndex+1, 'tracks', {});
+    }
+    this._joinLines(lineIndex);
+  });
+};
+/**
+ * Move the words of the line with the given index from ``position`` on
+ * to a new line after it, along with the end of the line.
+ *
+ * Internal usage, see ``splitLine``.
+ */
+Lyrics.prototype._splitLine = function(lineIndex, position) {
+  var line = this.lines[lineIndex];
+  this.lines.splice(lineIndex+1, 0, newLine(line.words.splice(position), null, line.end));
+  line.end = null;
+  this._reindex();
+  this.emit('linesChanged');
+  var self = this;
+  this.emit('change', {
+    undo: function() { self._joinLines(lineIndex); },
+    redo: function() { self._splitLine(lineIndex, position); },
+    index: line.index + position
+  });
+};
+/**
+ * Move the words and the end of the line after the one with the given
+ * index to it, the reverse of ``_splitLine``. The start, the voice and the
+ * tracks of the next line must not be set.
+ *
+ * Internal usage, see ``joinLines``.
+ */
+Lyrics.prototype._joinLines = function(lineIndex) {
+  var line = this.lines[lineIndex], next = this.lines[lineIndex+1];
+  var position = line.words.length;
+  line.words.push.apply(line.words, next.words);
+  line.end = next.end;
+  this.lines.splice(lineIndex+1, 1);
+  this._reindex();
+  this.emit('linesChanged');
+  var self = this;
+  this.emit('change', {
+    undo: function() { self._splitLine(lineIndex, position); },
+    redo: function() { self._joinLines(lineIndex); },
+    index: line.index + position
+  });
+};
+/**
+ * Replace the text of the word at the given index, keeping its times.
+ *
+ * The text is parsed as in ``fromText``: if it contains several words (or
+ * syllables separated by "|"), the first one keeps the start time, the
+ * last one the end time, and the others are inserted untimed. An empty
+ * text removes the word. The text includes the reading of the word, if
+ * any (e.g. "漢字{かんじ}").
+ *
+ * @param index
+ * @param text
+ */
+Lyrics.prototype.setTextOfWord = function(index, text) {
+  var word = this[index];
+  var words = Lyrics.parseWords(text);
+  this.batch(function() {
+    if (!words.length)
+      return this.removeWords(index, 1);
+    this._changeWord(index, 'text', words[0].text);
+    this.setRubyOfWord(index, words[0].ruby && Lyrics.formatRuby(words[0].ruby));
+    if (words.length > 1) {
+      var end = word.end;
+      var lineIndex = this._lineOfWord[index];
+      this._changeWord(index, 'end', null);
+      if (end)
+        words[words.length-1].end = end;
+      each(words, function(i, part) {
+        if (word.voice)
+          part.voice = word.voice;
+      });
+      this._insertIntoLine(lineIndex, index + 1 - this.lines[lineIndex].index,
+                           words.slice(1));
     }
+  });
+};
+/**
+ * Split the word at the given index into two, at the character
+ * ``position``. The first part keeps the start time, the second part the
+ * end time (if any).
+ *
+ * @param index
+ * @param position
+ * @param joined Whether the second part is a syllable of the same word,
+ *   rather than a word of its own.
+ */
+Lyrics.prototype.splitWord = function(index, position, joined) {
+  var word = this[index];
+  assert(position > 0 && position < word.text.length,
+         'Can only split within a word.');
+  var second = {text: word.text.slice(position), time: null};
+  if (word.end)
+    second.end = word.end;
+  if (joined)
+    second.joined = true;
+  if (word.voice)
+    second.voice = word.voice;
+  this.batch(function() {
+    var lineIndex = this._lineOfWord[index];
+    this._changeWord(index, 'text', word.text.slice(0, position));
+    this._changeWord(index, 'end', null);
+    this._insertIntoLine(lineIndex, index + 1 - this.lines[lineIndex].index, [second]);
+  });
+};
+/**
+ * Merge the word at the given index with the next one (without a space).
+ * The merged word starts when the first one starts (or the second one, if
+ * the first is untimed), and ends when the second one ends.
+ *
+ * @param index
+ */
+Lyrics.prototype.mergeWords = function(index) {
+  var first = this[index], second = this[index+1];
+  assert(second && this._lineOfWord[index] === this._lineOfWord[index+1],
+         'Can only merge two words of the same line.');
+  this.batch(function() {
+    if (first.time == null)
+      this._changeWord(index, 'time', second.time);
+    this._changeWord(index, 'end', second.end || null);
+    this._changeWord(index, 'text', first.text + second.text);
+    this.removeWords(index+1, 1);
+  });
+};
+/**
+ * Replace the words with those of ``lyrics`` (e.g. a corrected version of
+ * the same text), keeping the times of the words which did not change.
+ *
+ * The words are compared with ``diffWords``: words only found in the new
+ * lyrics are inserted with their own times (if any), the others are
+ * removed. The lines are those of the new lyrics; a line keeps its time
+ * (or end) if it starts (or ends) with the same word as before. Times
+ * which are not kept this way are those of the new lyrics, unless they
+ * are out of order with the times kept around them. The voices and
+ * readings are those of the new lyrics as well. ID tags of the new
+ * lyrics are added to ``metadata``. Runs as a single batch, see ``batch``.
+ *
+ * Returns the changes made, as given by ``diffWords``.
+ *
+ * @param lyrics
+ * @return {Array}
+ */
+Lyrics.prototype.merge = function(lyrics) {
+  var hunks = Lyrics.diffWords(this, lyrics);
+  // The index of the unchanged word for every word of the new lyrics.
+  var unchanged = [];
+  for (var j=0, h=0, shift=0; j<lyrics.length; j++) {
+    if (hunks[h] && j == hunks[h].newIndex) {
+      shift += hunks[h].inserted.length - hunks[h].removed.length;
+      j += hunks[h++].inserted.length - 1;
+    }
+    else
+      unchanged[j] = j - shift;
+  }
+  var self = this;
+  // The old line which starts (or ends) with the given old word, if any.
+  function lineStartingWith(index) {
+    var line = self.lines[self._lineOfWord[index]];
+    return line && line.index == index ? line : null;
+  }
+  function lineEndingWith(index) {
+    var line = self.lines[self._lineOfWord[index]];
+    return line && line.index + line.words.length - 1 == index ? line : null;
+  }
+  // The words and lines which were given the start (or end) of the new
+  // lyrics.
+  var imported = {time: [], end: []};
+  function take(target, source, key) {
+    if (!target[key] && source[key]) {
+      target[key] = source[key];
+      imported[key].push(target);
+    }
+  }
+  var lines = map(lyrics.getLines(), function(line) {
+    var words = map(line.words, function(word, j) {
+      var old = self[unchanged[line.index + j]];
+      var result = old ? extend({}, old, {text: word.text}) : {text: word.text, time: null};
+      take(result, word, 'time');
+      take(result, word, 'end');
+      delete result.joined;
+      delete result.voice;
+      delete result.ruby;
+      if (word.joined)
+        result.joined = true;
+      if (word.voice)
+        result.voice = word.voice;
+      // The morae keep their times if the reading did not change.
+      if (word.ruby)
+        result.ruby = old && old.ruby &&
+          Lyrics.formatRuby(old.ruby) == Lyrics.formatRuby(word.ruby) ? old.ruby : word.ruby;
+      return result;
+    });
+    var starting = lineStartingWith(unchanged[line.index]);
+    var ending = lineEndingWith(unchanged[line.index + words.length - 1]);
+    var result = newLine(words, starting && starting.time, ending && ending.end,
+                         line.voice, line.tracks);
+    take(result, line, 'time');
+    take(result, line, 'end');
+    return result;
+  });
+  // Times taken from the new lyrics are dropped if they are not in order
+  // with the times kept before and after them.
+  var slots = [];
+  each(lines, function(k, line) {
+    slots.push({target: line, key: 'time'});
+    each(line.words, function(j, word) {
+      slots.push({target: word, key: 'time'});
+      slots.push({target: word, key: 'end'});
+    });
+    slots.push({target: line, key: 'end'});
+  });
+  function kept(slot) {
+    return slot.target[slot.key] && imported[slot.key].indexOf(slot.target) == -1;
+  }
+  var min = [], max = [];
+  for (var i=0, time=null; i<slots.length; i++) {
+    min[i] = time;
+    if (kept(slots[i]))
+      time = slots[i].target[slots[i].key];
+  }
+  for (var i=slots.length-1, time=null; i>=0; i--) {
+    max[i] = time;
+    if (kept(slots[i]))
+      time = slots[i].target[slots[i].key];
+  }
+  each(slots, function(i, slot) {
+    var time = slot.target[slot.key];
+    if (time && !kept(slot) && ((min[i] != null && time < min[i]) ||
+                                (max[i] != null && time > max[i])))
+      slot.target[slot.key] = null;
+  });
+  this.batch(function() {
+    this.removeLines(0, this.lines.length);
+    this.insertLines(0, lines);
+    each(lyrics.metadata, function(key, value) {
+      self.setMetadata(key, value);
+    });
+  });
+  return hunks;
+};
+/**
+ * Compare two sequences of words by their text, and return the
+ * differences: a list of ``{index, newIndex, removed, inserted}``, in
+ * order, where ``removed`` are the words of ``a`` from ``index`` on which
+ * are replaced with the words ``inserted`` of ``b`` (from ``newIndex``
+ * on). Either list can be empty.
+ *
+ * @param a
+ * @param b
+ * @return {Array}
+ */
+Lyrics.diffWords = function(a, b) {
+  // Only compare what lies between the common beginning and end.
+  var start = 0, endA = a.length, endB = b.length;
+  while (start < endA && start < endB && a[start].text == b[start].text)
+    start++;
+  while (endA > start && endB > start && a[endA-1].text == b[endB-1].text) {
+    endA--;
+    endB--;
   }
+  // lengths[i][j] is the length of the longest common subsequence of
+  // a[start+i...endA) and b[start+j...endB).
+  var n = endA - start, m = endB - start;
+  var lengths = [];
+  for (var i=n; i>=0; i--) {
+    lengths[i] = new Int32Array(m+1);
+    for (var j=m-1; i<n && j>=0; j--) {
+      if (a[start+i].text == b[start+j].text)
+        lengths[i][j] = lengths[i+1][j+1] + 1;
+      else
+        lengths[i][j] = Math.max(lengths[i+1][j], lengths[i][j+1]);
+    }
+  }
+  var hunks = [], hunk = null;
+  i = 0;
+  j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start+i].text == b[start+j].text) {
+      hunk = null;
+      i++;
+      j++;
+      continue;
+    }
+    if (!hunk) {
+      hunk = {index: start+i, newIndex: start+j, removed: [], inserted: []};
+      hunks.push(hunk);
+    }
+    if (j == m || (i < n && lengths[i+1][j] >= lengths[i][j+1]))
+      hunk.removed.push(a[start + i++]);
+    else
+      hunk.inserted.push(b[start + j++]);
+  }
+  return hunks;
+};
+/**
+ * Move the timestamps of the words ``from`` to ``to`` (inclusive) by the
+ * given number of seconds. Timestamps cannot become negative.
+ *
+ * Timestamps outside the range which become invalid as a result are
+ * removed, as in ``setTimeOfWord``.
+ *
+ * @param from
+ * @param to
+ * @param seconds
+ */
+Lyrics.prototype.shiftTimes = function(from, to, seconds) {
+  this.mapTimes(from, to, function(time) {
+    return Math.max(0, time + seconds);
+  });
+};
+/**
+ * Linearly rescale the timestamps of the words ``from`` to ``to``
+ * (inclusive), such that the first word ends up at ``fromTime`` and the
+ * last word at ``toTime``. Both of these anchor words must be timed.
+ *
+ * Timestamps outside the range which become invalid as a result are
+ * removed, as in ``setTimeOfWord``.
+ *
+ * @param from
+ * @param to
+ * @param fromTime
+ * @param toTime
+ */
+Lyrics.prototype.stretchTimes = function(from, to, fromTime, toTime) {
+  var oldFrom = this[from].time, oldTo = this[to].time;
+  assert(oldFrom != null && oldTo != null && oldTo > oldFrom,
+         'Both anchor words must be timed, in order.');
+  var factor = (toTime - fromTime) / (oldTo - oldFrom);
+  this.mapTimes(from, to, function(time) {
+    return Math.max(0, fromTime + (time - oldFrom) * factor);
+  });
+};
+/**
+ * Replace every timestamp (and end time) of the words ``from`` to ``to``
+ * (inclusive) with the result of ``fn(time)``. Untimed words are left
+ * alone. The times of the lines which start or end within the range are
+ * changed as well.
+ *
+ * Runs as a single batch, see ``batch``.
+ *
+ * @param from
+ * @param to
+ * @param fn
+ */
+Lyrics.prototype.mapTimes = function(from, to, fn) {
+  var first = this._lineOfWord[from], last = this._lineOfWord[to];
+  // The range includes the start of the first line and the end of the
+  // last line, if it covers all of their words.
+  var start = this.lines[first].index == from ?
+      this._getPosition(first, null, 'time') : this._getPosition(first, from, 'time');
+  var end = this._lineOfWord[to+1] !== last ?
+      this._getPosition(last, null, 'end') : this._getPosition(last, to, 'end');
+  var times = this._getTimes();
+  this.batch(function() {
+    var min = Infinity, max = -Infinity;
+    for (var i=start; i<=end; i++) {
+      var slot = times[i], time = slot.target[slot.key];
+      if (time == null)
+        continue;
+      time = fn(time);
+      if (slot.index == null)
+        this._changeLine(slot.line, slot.key, time);
+      else
+        this._changeWord(slot.index, slot.key, time);
+      min = Math.min(min, time);
+      max = Math.max(max, time);
+    }
+    for (var i=from; i<=to; i++) {
+      if (this[i].ruby)
+        this._changeWord(i, 'ruby', map(this[i].ruby, function(mora) {
+          return {text: mora.text, time: mora.time == null ? null : fn(mora.time)};
+        }));
+    }
+    if (min <= max)
+      this._validateAround(start, end, min, max);
+  });
 };
 /**
  * Return the word index for the given timestamp.
@@ -89,71 +1273,648 @@ Lyrics.prototype.getIndexForTime = function(timestamp)
   }
 };
 /**
- * For the word the given index, return it's timestamp.
+ * For the word the given index, return it's timestamp.
+ *
+ * If the word has no explicit timestamp set, try to approximate the value
+ * based on boundaries from earlier and later words.
+ *
+ * @param index Index of the word whose timestamp to return.
+ */
+Lyrics.prototype.getApproximateTime = function(index)
+{
+  assert(index.constructor === Number, 'index must be a Number');
+  // Search for nearest timestamp earlier in text
+  var earlierTimestamp = 0, earlierIndex = 0;
+  for (var i=index-1; i>=0; i--) {
+    if (this[i].time) {
+      earlierIndex = i;
+      earlierTimestamp = this[i].time;
+      break;
+    }
+  }
+  // Search for nearest timestamp later in text
+  var laterTimestamp = this.duration, laterIndex = this.length-1;
+  for (var i=index+1; i<this.length; i++) {
+    if (this[i].time) {
+      laterIndex = i;
+      laterTimestamp = this[i].time;
+      break;
+    }
+  }
+  //console.log('index from '+earlierIndex+' to '+laterIndex);
+  //console.log('timestamp from '+earlierTimestamp+' to '+laterTimestamp);
+  var relPos = (index-earlierIndex) / (laterIndex-earlierIndex);
+  return earlierTimestamp + relPos * (laterTimestamp - earlierTimestamp);
+};
+/**
+ * Export to Enhanced LRC.
+ *
+ * Starts with the ID tags from ``metadata``, one per line. The voices of
+ * a duet are marked before the words they sing (see
+ * ``Lyrics.toVoiceMarker``).
+ *
+ * The texts of the ``tracks`` chosen (see ``setTrackOfLine``) follow their
+ * line, with the same timestamp and the marker of the track (see
+ * ``Lyrics.TRACKS``), e.g. "[00:12.00]tr: Hello".
+ *
+ * @param options Optional. ``length`` (in seconds) overrides the
+ *   [length:] tag, e.g. with the duration of the loaded media.
+ *   ``voiceMarkers`` is the style of the voice markers. ``tracks`` is a
+ *   list of the tracks to include.
+ */
+Lyrics.prototype.toELRC = function(options) {
+  options = options || {};
+  var self = this;
+  var result = this._getLRCTags(options);
+  each(this.lines, function(i, line) {
+    var start = self.getStartOfLine(i) || 0;
+    // An explicit end of a word is written as an extra timestamp right
+    // after it. If the next word has no timestamp, the end is dropped, as it
+    // would be read as the start of that word.
+    function endTag(j) {
+      var word = line.words[j], next = line.words[j+1];
+      var nextTime = next ? next.time : line.end;
+      if (!word.end || word.end == nextTime || (next && !next.time))
+        return '';
+      return '<' + Lyrics.toTimer(word.end) + '>';
+    }
+    // Every tag is glued to the word (or syllable) it belongs to, e.g.
+    // "<00:01.000>Hel<00:01.500>lo<00:02.000> <00:02.500>world".
+    result += '[' + Lyrics.toTimer(start) + ']';
+    each(line.words, function(j, word) {
+      // The first word always has a tag, that of the line if need be.
+      var time = j == 0 ? word.time || start : word.time;
+      if (j > 0 && !word.joined)
+        result += ' ';
+      result += voiceMarkers(line, j, options.voiceMarkers) +
+        (j == 0 || time ? '<' + Lyrics.toTimer(time) + '>' : '') +
+        word.text + endTag(j);
+    });
+    if (line.end)
+      result += '<' + Lyrics.toTimer(line.end) + '>';
+    result += '\n' + self._getTrackLines(i, options.tracks);
+  });
+  return result + this._getRubyTags();
+};
+/**
+ * Export as plain LRC, with one timestamp per line and no word timestamps.
+ *
+ * A line end that is earlier than the start of the next line is written as
+ * an empty timed line, so that the text disappears in between.
+ *
+ * @param options Optional, see ``toELRC``.
+ */
+Lyrics.prototype.toLRC = function(options) {
+  options = options || {};
+  var self = this;
+  var result = this._getLRCTags(options);
+  var lines = this.lines;
+  each(lines, function(i, line) {
+    var start = self.getStartOfLine(i) || 0;
+    result += '[' + Lyrics.toTimer(start) + ']' +
+      voiceMarkers(line, 0, options.voiceMarkers) +
+      Lyrics.joinWords(line.words, function(word, j) {
+        return voiceMarkers(line, j, options.voiceMarkers);
+      }) + '\n' + self._getTrackLines(i, options.tracks);
+    var next = lines[i+1];
+    var nextStart = next && (next.time || next.words[0].time);
+    if (line.end && (!nextStart || line.end < nextStart))
+      result += '[' + Lyrics.toTimer(line.end) + ']\n';
+  });
+  return result + this._getRubyTags();
+};
+/**
+ * The given tracks of the line with the given index as LRC lines, with the
+ * timestamp of the line.
+ *
+ * Internal usage for ``toELRC`` and ``toLRC``.
+ */
+Lyrics.prototype._getTrackLines = function(lineIndex, tracks) {
+  var start = this.getStartOfLine(lineIndex) || 0;
+  return trackLines(this.lines[lineIndex], function(track, text) {
+    if ((tracks || []).indexOf(track) != -1)
+      return '[' + Lyrics.toTimer(start) + ']' + Lyrics.TRACKS[track].marker + ' ' + text;
+  });
+};
+/**
+ * The readings of the words (see ``setRubyOfWord``) as written at the end
+ * of LRC and ELRC files by karaoke makers: "@Ruby1=漢字,か[00:12.34]んじ"
+ * applies the reading to every "漢字", with the times of its morae.
+ *
+ * Readings which are not the same for every word with the same text are
+ * limited to the time of the word, as in "@Ruby2=漢字,かん,[00:12.00],[00:13.00]".
+ */
+Lyrics.prototype._getRubyTags = function() {
+  var self = this;
+  var readings = {};
+  each(this, function(i, word) {
+    if (word.ruby)
+      (readings[word.text] = readings[word.text] || {})[Lyrics.formatRuby(word.ruby, true)] = true;
+  });
+  var tags = [], written = {};
+  each(this, function(i, word) {
+    if (!word.ruby)
+      return;
+    var tag = word.text + ',' + Lyrics.formatRuby(word.ruby, true);
+    if (Object.keys(readings[word.text]).length > 1) {
+      var start = word.time || self.getApproximateTime(i);
+      tag += ',[' + Lyrics.toTimer(start) + '],[' +
+        Lyrics.toTimer(self.getEndOfWord(i) || start) + ']';
+    }
+    if (!written[tag])
+      tags.push('@Ruby' + (tags.length + 1) + '=' + tag + '\n');
+    written[tag] = true;
+  });
+  return tags.join('');
+};
+/**
+ * The ID tags written at the top of LRC and ELRC files.
+ */
+Lyrics.prototype._getLRCTags = function(options) {
+  options = options || {};
+  var result = '';
+  var metadata = extend({}, this.metadata);
+  if (options.length)
+    metadata.length = Lyrics.toTimer(options.length).replace(/\.\d+$/, '');
+  each(metadata, function(key, value) {
+    if (value)
+      result += '[' + key + ':' + value + ']\n';
+  });
+  return result;
+};
+/**
+ * Check the timestamps for mistakes.
+ *
+ * Returns a list of ``{index, level, message}``, where ``level`` is "error"
+ * for timestamps that are out of order, and "warning" for words without a
+ * timestamp. The ``index`` of a problem with the time of a line is that of
+ * its first (or for its end, last) word.
+ *
+ * @return {Array}
+ */
+Lyrics.prototype.getProblems = function() {
+  var problems = [];
+  function add(index, level, message) {
+    problems.push({index: index, level: level, message: message});
+  }
+  function describe(slot, capitalize) {
+    if (slot.index != null)
+      return '"' + slot.target.text + '"';
+    var name = (slot.key == 'end' ? 'end' : 'start') + ' of line ' + (slot.line+1);
+    return capitalize ? name.charAt(0).toUpperCase() + name.slice(1) : name;
+  }
+  var untimed = 0, firstUntimed = null;
+  var last = null, times = this._getTimes();
+  for (var i=0; i<times.length; i++) {
+    var slot = times[i], time = slot.target[slot.key];
+    var index = slot.index != null ? slot.index :
+        slot.key == 'end' ? slot.target.index + slot.target.words.length - 1 : slot.target.index;
+    if (slot.index != null && slot.key == 'time' && !time && time !== 0) {
+      if (firstUntimed === null)
+        firstUntimed = index;
+      untimed++;
+    }
+    if (!time && time !== 0)
+      continue;
+    // The end of a word is only checked against its start.
+    if (slot.index != null && slot.key == 'end') {
+      var start = slot.target.time;
+      if ((start || start === 0) && time <= start)
+        add(index, 'error', describe(slot, true) + ' ends at ' + Lyrics.toTimer(time) +
+            ', before it starts');
+      continue;
+    }
+    if (last && time < last.target[last.key])
+      add(index, 'error', describe(slot, true) + ' at ' + Lyrics.toTimer(time) +
+          ' is before ' + describe(last) + ' at ' + Lyrics.toTimer(last.target[last.key]));
+    last = slot;
+    if (this.duration && time > this.duration)
+      add(index, 'error', describe(slot, true) + ' at ' + Lyrics.toTimer(time) +
+          ' is after the end of the media');
+  }
+  if (!this.length)
+    add(null, 'error', 'No lyrics found');
+  else if (untimed)
+    add(firstUntimed, 'warning', untimed + ' of ' + this.length + ' words have no timestamp');
+  return problems;
+};
+/**
+ * Set an LRC ID tag (see ``metadata``). An empty value removes the tag.
+ *
+ * Emits "metadataChanged" and "change".
+ *
+ * @param key The tag, e.g. "ar".
+ * @param value
+ */
+Lyrics.prototype.setMetadata = function(key, value) {
+  var oldValue = this.metadata[key];
+  if ((oldValue || '') == (value || ''))
+    return;
+  if (value)
+    this.metadata[key] = value;
+  else
+    delete this.metadata[key];
+  this.emit('metadataChanged', key, value);
+  var self = this;
+  this.emit('change', {
+    undo: function() { self.setMetadata(key, oldValue); },
+    redo: function() { self.setMetadata(key, value); }
+  });
+};
+/**
+ * Join the given words into text, with syllables joined without spaces.
+ *
+ * @param words
+ * @param separator Inserted before every word but the first, and before
+ *   every syllable, by calling it with the word and its index. Optional.
+ * @return {String}
+ */
+Lyrics.joinWords = function(words, separator) {
+  var result = '';
+  for (var i=0; i<words.length; i++) {
+    if (i > 0 && !words[i].joined)
+      result += ' ';
+    if (i > 0 && separator)
+      result += separator(words[i], i);
+    result += words[i].text;
+  }
+  return result;
+};
+/**
+ * Default options for ``toSRT`` and ``toVTT``.
+ */
+Lyrics.subtitleDefaults = {
+  // Maximum time in seconds a cue is displayed.
+  maxDuration: 5,
+  // WebVTT only: include a timestamp for every word.
+  wordTimestamps: false,
+  // Export this track (see ``Lyrics.TRACKS``) instead of the words, e.g.
+  // for a separate file with the translation.
+  track: null
+};
+/**
+ * Build one subtitle cue per line.
+ *
+ * A cue starts with the line (see ``getStartOfLine``), and ends with the
+ * line (if its end is known), otherwise when the next line starts; but
+ * after ``maxDuration`` seconds at most, and never before it starts.
+ *
+ * @param options See ``Lyrics.subtitleDefaults``.
+ * @return {Array} Objects with ``start``, ``end`` and ``words``.
+ */
+Lyrics.prototype.getCues = function(options) {
+  options = extend({}, Lyrics.subtitleDefaults, options);
+  var self = this;
+  var lines = this.lines;
+  var starts = [];
+  each(lines, function(i, line) {
+    var start = self.getStartOfLine(i);
+    // Without a duration, the lines after the last timestamp cannot be
+    // approximated; each of them follows the one before for as long as a
+    // cue can last.
+    starts.push(isFinite(start) ? start : (i > 0 ? starts[i-1] + options.maxDuration : 0));
+  });
+  return map(lines, function(line, i) {
+    var start = starts[i];
+    // The line's end, or the end of its last word, if known.
+    var end = line.end || self.getEndOfWord(line.index + line.words.length - 1);
+    if (!end)
+      // Without media (e.g. on the command line), the last line is shown
+      // for the maximum duration.
+      end = (i+1 < lines.length) ? starts[i+1] : (self.duration || Infinity);
+    end = Math.min(end, start + options.maxDuration);
+    return {start: start, end: Math.max(start, end), words: line.words};
+  });
+};
+/**
+ * The cues (see ``getCues``) of the lines with a text for the ``track``
+ * option, with the text as ``text``.
+ *
+ * Internal usage for ``toSRT`` and ``toVTT``.
+ */
+Lyrics.prototype._getTrackCues = function(options) {
+  var lines = this.lines;
+  return map(this.getCues(options), function(cue, i) {
+    var text = lines[i].tracks[options.track];
+    return text ? extend(cue, {text: text}) : null;
+  });
+};
+/**
+ * Split the words of the line with the given index into runs of words
+ * sung by the same voice (see ``getVoiceOfWord``), for the exporters.
+ *
+ * Internal usage.
+ *
+ * @return {Array} Objects with ``voice`` (null for none) and ``words``.
+ */
+Lyrics.prototype._getVoiceRuns = function(lineIndex) {
+  var line = this.lines[lineIndex], runs = [];
+  each(line.words, function(j, word) {
+    var voice = voiceOf(line, j), run = runs[runs.length-1];
+    if (run && (run.voice == voice || word.joined))
+      run.words.push(word);
+    else
+      runs.push({voice: voice, words: [word]});
+  });
+  return runs;
+};
+/**
+ * The voices used in the lyrics, in the order of ``Lyrics.VOICES``.
  *
- * If the word has no explicit timestamp set, try to approximate the value
- * based on boundaries from earlier and later words.
+ * Internal usage.
+ */
+Lyrics.prototype._getVoices = function() {
+  var used = {};
+  each(this.lines, function(i, line) {
+    for (var j=0; j<line.words.length; j++)
+      used[voiceOf(line, j)] = true;
+  });
+  return map(Object.keys(Lyrics.VOICES), function(voice) {
+    return used[voice] ? voice : null;
+  });
+};
+/**
+ * A copy with the [offset:] tag of ``metadata`` (if any) applied to all
+ * timestamps, for the formats which have no such tag; or the lyrics
+ * themselves if there is no offset.
  *
- * @param index Index of the word whose timestamp to return.
+ * Internal usage.
  */
-Lyrics.prototype.getApproximateTime = function(index)
-{
-  assert(index.constructor === Number, 'index must be a Number');
-  // Search for nearest timestamp earlier in text
-  var earlierTimestamp = 0, earlierIndex = 0;
-  for (var i=index-1; i>=0; i--) {
-    if (this[i].time) {
-      earlierIndex = i;
-      earlierTimestamp = this[i].time;
-      break;
-    }
+Lyrics.prototype._applyOffset = function() {
+  // A positive offset makes the lyrics appear sooner.
+  var offset = parseInt(this.metadata.offset) / 1000 || 0;
+  if (!offset || !this.length)
+    return this;
+  var lyrics = Lyrics.fromJSON(JSON.stringify(this.toJSON()), this.duration);
+  delete lyrics.metadata.offset;
+  lyrics.shiftTimes(0, lyrics.length-1, -offset);
+  return lyrics;
+};
+/**
+ * Export to SubRip (.srt), one cue per line.
+ *
+ * The words of each voice are coloured with the colour of the voice (see
+ * ``Lyrics.VOICES``). With the ``track`` option, the cues have the text of
+ * that track instead, and lines without one are left out. An [offset:]
+ * tag is applied to the times, see ``_applyOffset``.
+ *
+ * @param options See ``Lyrics.subtitleDefaults``.
+ */
+Lyrics.prototype.toSRT = function(options) {
+  var shifted = this._applyOffset();
+  if (shifted !== this)
+    return shifted.toSRT(options);
+  options = extend({}, Lyrics.subtitleDefaults, options);
+  var self = this;
+  var cues = options.track ? this._getTrackCues(options) :
+    map(this.getCues(options), function(cue, i) {
+      return extend(cue, {text: map(self._getVoiceRuns(i), function(run) {
+        var text = Lyrics.joinWords(run.words);
+        if (run.voice)
+          text = '<font color="' + Lyrics.VOICES[run.voice].color + '">' + text + '</font>';
+        return text;
+      }).join(' ')});
+    });
+  return map(cues, function(cue, i) {
+    return (i+1) + '\n' +
+      Lyrics.toTimestamp(cue.start, ',') + ' --> ' +
+      Lyrics.toTimestamp(cue.end, ',') + '\n' + cue.text + '\n';
+  }).join('\n');
+};
+/**
+ * Export to WebVTT (.vtt), one cue per line.
+ *
+ * With the ``wordTimestamps`` option, every timed word within the cue
+ * is preceded by its timestamp, for karaoke-style display.
+ *
+ * The words of each voice are put in a voice span (e.g. "<v v1>"),
+ * coloured by a style block with the colours of ``Lyrics.VOICES``.
+ * Readings are written as ruby text. "&", "<" and ">" in the text are
+ * escaped as entities.
+ *
+ * With the ``track`` option, the cues have the text of that track instead,
+ * as in ``toSRT``. An [offset:] tag is applied to the times, as well.
+ *
+ * @param options See ``Lyrics.subtitleDefaults``.
+ */
+Lyrics.prototype.toVTT = function(options) {
+  var shifted = this._applyOffset();
+  if (shifted !== this)
+    return shifted.toVTT(options);
+  options = extend({}, Lyrics.subtitleDefaults, options);
+  var self = this;
+  if (options.track) {
+    return 'WEBVTT\n\n' + map(this._getTrackCues(options), function(cue) {
+      return Lyrics.toTimestamp(cue.start) + ' --> ' +
+        Lyrics.toTimestamp(cue.end) + '\n' + escapeCueText(cue.text) + '\n';
+    }).join('\n');
   }
-  // Search for nearest timestamp later in text
-  var laterTimestamp = this.duration, laterIndex = this.length-1;
-  for (var i=index+1; i<this.length; i++) {
-    if (this[i].time) {
-      laterIndex = i;
-      laterTimestamp = this[i].time;
-      break;
+  var cues = map(this.getCues(options), function(cue, i) {
+    function timestamp(word) {
+      // Timestamps must be within the cue.
+      if (options.wordTimestamps && word.time &&
+          word.time > cue.start && word.time < cue.end)
+        return '<' + Lyrics.toTimestamp(word.time) + '>';
+      return '';
     }
+    var text = map(self._getVoiceRuns(i), function(run, r) {
+      var words = map(run.words, function(word) {
+        var text = escapeCueText(word.text);
+        if (word.ruby) {
+          var reading = map(word.ruby, function(mora) {
+            return mora.text;
+          }).join('');
+          text = '<ruby>' + text + '<rt>' + escapeCueText(reading) + '</rt></ruby>';
+        }
+        return extend({}, word, {text: text});
+      });
+      var text = (r > 0 ? timestamp(run.words[0]) : '') +
+        Lyrics.joinWords(words, timestamp);
+      return run.voice ? '<v ' + run.voice + '>' + text + '</v>' : text;
+    }).join(' ');
+    return Lyrics.toTimestamp(cue.start) + ' --> ' +
+      Lyrics.toTimestamp(cue.end) + '\n' + text + '\n';
+  });
+  var styles = map(this._getVoices(), function(voice) {
+    return '::cue(v[voice="' + voice + '"]) {\n' +
+      '  color: ' + Lyrics.VOICES[voice].color + ';\n' +
+      '}\n';
+  });
+  return 'WEBVTT\n\n' + (styles.length ? 'STYLE\n' + styles.join('') + '\n' : '') +
+    cues.join('\n');
+};
+/**
+ * Default options for ``toASS``.
+ */
+Lyrics.assDefaults = {
+  // "k" fills every syllable at once, "kf" wipes it from left to right.
+  karaoke: 'kf',
+  // Seconds a line is shown before its first word is sung.
+  leadIn: 1,
+  // Maximum time in seconds a line is displayed (see ``getCues``).
+  maxDuration: 5,
+  playResX: 1280,
+  playResY: 720,
+  // The "Default" style, see ``Lyrics.ASS_STYLE_FIELDS``.
+  style: {
+    Fontname: 'Arial',
+    Fontsize: 48,
+    PrimaryColour: '&H00FFFFFF',
+    SecondaryColour: '&H000000FF',
+    OutlineColour: '&H00000000',
+    BackColour: '&H80000000',
+    Bold: 0, Italic: 0, Underline: 0, StrikeOut: 0,
+    ScaleX: 100, ScaleY: 100, Spacing: 0, Angle: 0,
+    BorderStyle: 1, Outline: 2, Shadow: 1,
+    Alignment: 2, MarginL: 10, MarginR: 10, MarginV: 30,
+    Encoding: 1
   }
-  //console.log('index from '+earlierIndex+' to '+laterIndex);
-  //console.log('timestamp from '+earlierTimestamp+' to '+laterTimestamp);
-  var relPos = (index-earlierIndex) / (laterIndex-earlierIndex);
-  return earlierTimestamp + relPos * (laterTimestamp - earlierTimestamp);
 };
+Lyrics.ASS_STYLE_FIELDS = [
+  'Name', 'Fontname', 'Fontsize', 'PrimaryColour', 'SecondaryColour',
+  'OutlineColour', 'BackColour', 'Bold', 'Italic', 'Underline', 'StrikeOut',
+  'ScaleX', 'ScaleY', 'Spacing', 'Angle', 'BorderStyle', 'Outline', 'Shadow',
+  'Alignment', 'MarginL', 'MarginR', 'MarginV', 'Encoding'];
 /**
- * Export to Enhanced LRC.
+ * Export to Advanced SubStation Alpha (.ass) with karaoke tags.
+ *
+ * Writes one Dialogue event per line. Every word (or syllable) is
+ * preceded by a ``{\k}`` or ``{\kf}`` tag holding its duration in
+ * centiseconds, which lasts until its end time, or the next timestamp (or
+ * the end of the line). The lead-in before the first word, and pauses
+ * between words, are empty karaoke syllables.
+ *
+ * Every voice (see ``Lyrics.VOICES``) gets a style of its own, a copy of
+ * the "Default" style filled with the colour of the voice. Lines use the
+ * style of their voice, words of another voice switch to theirs with a
+ * ``{\r}`` tag.
+ *
+ * Words with a reading are written in the furigana syntax of karaoke
+ * templates, e.g. "{\kf50}漢字|か{\kf30}#|ん{\kf40}#|じ", with a syllable
+ * for every mora timed on its own. An [offset:] tag is applied to the
+ * times, as in ``toSRT``.
+ *
+ * @param options See ``Lyrics.assDefaults``.
  */
-Lyrics.prototype.toELRC = function() {
-  var result = '';
-  var isNewLine = false;
-  var isFirstWord = true;
-  for (var i=0; i<this.length; i++) {
-    var word = this[i];
-    var tmpWord = "";
-    if (word.text.includes("<br>")) {
-      tmpWord = word.text.replace("END<br>","\n");
+Lyrics.prototype.toASS = function(options) {
+  var shifted = this._applyOffset();
+  if (shifted !== this)
+    return shifted.toASS(options);
+  options = extend({}, Lyrics.assDefaults, options);
+  options.style = extend({}, Lyrics.assDefaults.style, options.style);
+  var self = this;
+  var style = extend({Name: 'Default'}, options.style);
+  // "#rrggbb" to "&H00BBGGRR".
+  function colour(color) {
+    return ('&H00' + color.slice(5, 7) + color.slice(3, 5) + color.slice(1, 3)).toUpperCase();
+  }
+  var styles = [style].concat(map(this._getVoices(), function(voice) {
+    return extend({}, style, {Name: voice, PrimaryColour: colour(Lyrics.VOICES[voice].color)});
+  }));
+  var lines = this.lines;
+  var cues = this.getCues(options);
+  var result = '[Script Info]\n' +
+    '; Script generated by Enhanced LRC Maker\n' +
+    'ScriptType: v4.00+\n' +
+    'PlayResX: ' + options.playResX + '\n' +
+    'PlayResY: ' + options.playResY + '\n' +
+    'WrapStyle: 0\n\n' +
+    '[V4+ Styles]\n' +
+    'Format: ' + Lyrics.ASS_STYLE_FIELDS.join(', ') + '\n' +
+    map(styles, function(style) {
+      return 'Style: ' + map(Lyrics.ASS_STYLE_FIELDS, function(field) {
+        return String(style[field]);
+      }).join(',') + '\n';
+    }).join('') + '\n' +
+    '[Events]\n' +
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text\n';
+  each(cues, function(i, cue) {
+    var line = lines[i];
+    // Centiseconds are rounded from the absolute times, so that rounding
+    // errors do not add up over the line.
+    function cs(time) {
+      return Math.round(time * 100);
     }
-    else {
-      tmpWord = word.text;
+    var times = map(line.words, function(word, j) {
+      return word.time || self.getApproximateTime(line.index + j);
+    });
+    times.push(cue.end);
+    // Without a duration, words after the last timestamp cannot be
+    // approximated; they share the time up to the next known one instead.
+    for (var j=0; j<times.length; j++) {
+      if (isFinite(times[j]))
+        continue;
+      for (var k=j+1; !isFinite(times[k]); k++);
+      var from = j > 0 ? times[j-1] : cue.start;
+      times[j] = from + (times[k] - from) / (k - j + 1);
     }
-    // Start a new line when: This is the first line, OR: is the word after a newline
-    if (isNewLine || isFirstWord) {
-      result += '['+Lyrics.toTimer((word.time || 0))+']<' + Lyrics.toTimer((word.time || 0)) + '>';
+    // Approximated times may lie outside a cue cut short by
+    // ``maxDuration``, but the syllables must add up to the cue.
+    times = map(times, function(time) {
+      return Math.min(Math.max(time, cue.start), cue.end);
+    });
+    // A word ends at its explicit end (if any), otherwise the next one starts.
+    function end(j) {
+      var word = line.words[j];
+      return (word.end && word.end < times[j+1]) ? word.end : times[j+1];
     }
-    else if (word.time) {
-      result += '<'+Lyrics.toTimer(word.time)+'>';
+    // The syllable of a word lasts until it ends, or from ``from`` to
+    // ``to`` for the morae of a reading.
+    function tag(j, from, to) {
+      from = from || times[j];
+      var duration = Math.max(0, cs(to || end(j)) - cs(Math.max(from, cue.start)));
+      return '{\\' + options.karaoke + duration + '}';
     }
-    if (word.text.includes("<br>") && word.time) {
-      isNewLine = true;
+    // The morae of a reading, grouped into a syllable for every mora
+    // timed within the word.
+    function furigana(j) {
+      var groups = [];
+      each(line.words[j].ruby || [], function(m, mora) {
+        if (m > 0 && mora.time != null && mora.time > times[j] && mora.time < end(j))
+          groups.push({text: mora.text, time: mora.time});
+        else if (groups.length)
+          groups[groups.length-1].text += mora.text;
+        else
+          groups.push({text: mora.text, time: times[j]});
+      });
+      return groups;
     }
-    else {
-      isNewLine = false
+    var words = map(line.words, function(word, j) {
+      var groups = furigana(j);
+      if (!groups.length)
+        return word;
+      return extend({}, word, {text: word.text + map(groups, function(group, g) {
+        return (g > 0 ? tag(j, group.time, groups[g+1] && groups[g+1].time) + '#' : '') +
+          '|' + group.text;
+      }).join('')});
+    });
+    // The first syllable of a word with a reading ends with its first group.
+    function firstTag(j) {
+      var groups = furigana(j);
+      return tag(j, null, groups[1] && groups[1].time);
     }
-    result += ' ' + tmpWord;
-    isFirstWord = false;
-  }
+    // A pause after a word is an empty syllable.
+    function pause(j) {
+      var duration = cs(times[j+1]) - cs(end(j));
+      return duration > 0 ? '{\\k' + duration + '}' : '';
+    }
+    // Switch to the style of a word sung by another voice than the word
+    // before it ("{\r}" goes back to the style of the line).
+    function reset(j) {
+      var voice = voiceOf(line, j);
+      if (line.words[j].joined || voice == (j > 0 ? voiceOf(line, j-1) : line.voice))
+        return '';
+      return '{\\r' + (voice == line.voice ? '' : voice) + '}';
+    }
+    var start = Math.max(0, cue.start - options.leadIn);
+    var text = '{\\k' + (cs(cue.start) - cs(start)) + '}' + reset(0) + firstTag(0) +
+      Lyrics.joinWords(words, function(word, j) {
+        return pause(j-1) + reset(j) + firstTag(j);
+      });
+    result += 'Dialogue: 0,' + Lyrics.toASSTimestamp(start) + ',' +
+      Lyrics.toASSTimestamp(cue.end) + ',' + (line.voice || style.Name) + ',,0,0,0,,' +
+      text + '\n';
+  });
   return result;
 };
 /**
@@ -162,12 +1923,38 @@ Lyrics.prototype.toELRC = function() {
  * @return {*}
  */
 Lyrics.prototype.toJSON = function() {
-  // Do not include the dom element.
-  return $.map(this, function(item) {
-    return {
-      text:item.text, time:item.time};
-  }
-              )
+  var lines = map(this.lines, function(line) {
+    // Do not include the dom element.
+    var words = map(line.words, function(item) {
+      return {
+        text:item.text, time:item.time, end:item.end, joined:item.joined,
+        voice:item.voice, ruby:item.ruby};
+    }
+                   );
+    return {time: line.time, end: line.end, voice: line.voice, tracks: line.tracks,
+            words: words};
+  });
+  return {metadata: this.metadata, lines: lines};
+};
+/**
+ * Return the lyrics as text in the format understood by ``fromText``,
+ * i.e. one line per lyrics line, with syllables separated by "|", voice
+ * markers before the words of each voice, readings in braces, and the
+ * tracks of each line on lines of their own after it.
+ *
+ * Timestamps are not included.
+ */
+Lyrics.prototype.toText = function() {
+  return map(this.lines, function(line) {
+    var words = map(line.words, function(word) {
+      return word.ruby ? extend({}, word, {text: word.text + '{' + Lyrics.formatRuby(word.ruby) + '}'}) : word;
+    });
+    return voiceMarkers(line, 0) + Lyrics.joinWords(words, function(word, j) {
+      return word.joined ? '|' : voiceMarkers(line, j);
+    }) + '\n' + trackLines(line, function(track, text) {
+      return Lyrics.TRACKS[track].marker + ' ' + text;
+    });
+  }).join('');
 };
 /**
  * Create a new instance based on the given JSON string.
@@ -176,164 +1963,677 @@ Lyrics.prototype.toJSON = function() {
  * @return {Lyrics}
  */
 Lyrics.fromJSON = function(json, duration) {
-  var words = JSON.parse(json);
+  var data = JSON.parse(json);
+  // Older versions stored just the list of words.
+  if (Array.isArray(data))
+    data = {words: data};
+  // They also stored the lines as a flat list of words, where an entry
+  // "END<br>" ended each line (its time being the end of the line).
+  if (!data.lines) {
+    data.lines = [{words: []}];
+    each(data.words, function(i, word) {
+      var line = data.lines[data.lines.length-1];
+      if (word.text.indexOf('<br>') == -1)
+        return line.words.push(word);
+      line.end = word.time;
+      data.lines.push({words: []});
+    });
+  }
+  var lyrics = Lyrics.fromLines(data.lines, duration);
+  extend(lyrics.metadata, data.metadata);
+  return lyrics;
+};
+/**
+ * Create a new instance with the given lines, each an object with
+ * ``words`` and optionally ``time``, ``end``, ``voice`` and ``tracks`` (see
+ * ``getLines``). Lines
+ * without words are left out.
+ *
+ * @param lines
+ * @param duration
+ * @return {Lyrics}
+ */
+Lyrics.fromLines = function(lines, duration) {
   var lyrics = new Lyrics(duration);
-  lyrics.push.apply(lyrics, words);
+  lyrics.lines = map(lines, function(line) {
+    if (line.words.length)
+      return newLine(line.words, line.time, line.end, line.voice, line.tracks);
+  });
+  lyrics._reindex();
   return lyrics;
 };
 /**
  * Creates a new instance based on the given text.
  *
- * @param text Will be splitted at whitespace boundaries.
+ * @param text Will be splitted at whitespace boundaries. Words can be
+ *   further divided into syllables using "|", e.g. "beau|ti|ful". Voice
+ *   markers (see ``_parseVoices``) assign voices. A line starting with the
+ *   marker of a track (see ``Lyrics.TRACKS``), e.g. "tr: Hello", is the
+ *   text of that track of the line before it, rather than more words.
  * @param duration
+ * @param tokenization Optional, how words without "|" are divided further,
+ *   see ``splitCharacters``. By default, or with "auto", as given by
+ *   ``detectTokenization``.
  * @return {Lyrics}
  */
-Lyrics.fromText = function(text, duration) {
+Lyrics.fromText = function(text, duration, tokenization) {
   if (!duration) {
     duration = 1;
   }
-  //add <br> tag to track newline and display newline on gui
-  text = text.replace(/ +/g, " ").replace(/　/g,"").replace(/ +\n/g,"\n").replace(/^\s*[\r\n]/gm,"").trim().replace(/(?:\r\n|\r|\n)/g, ' END<br>\n');
-  if (!(text.match(/END<br>\n$/g))) {
-    text += ' END<br>\n';
-  }
-  var splitted = $.map(text.split(/\s+/g), function(item) {
-    // do not add if blank word or line
-    if (item && item != " END<br>")
-      return {
-        text: item.trim(), time: duration};
+  if (!tokenization || tokenization == 'auto')
+    tokenization = Lyrics.detectTokenization(text);
+  var lines = [];
+  each(text.split(/\r\n|\r|\n/), function(i, text) {
+    var previous = lines[lines.length-1];
+    var track = Lyrics._parseTrackLine(text);
+    if (track) {
+      if (previous)
+        previous.tracks[track.track] = track.text;
+      return;
+    }
+    var line = Lyrics._parseVoices({words: Lyrics.parseWords(text, tokenization), tracks: {}});
+    // Blank lines are left out.
+    if (line.words.length)
+      lines.push(line);
+  });
+  return Lyrics.fromLines(lines, duration);
+};
+/**
+ * Return the track (see ``Lyrics.TRACKS``) and the text of a line of text
+ * which starts with the marker of a track, e.g. "tr: Hello", or null if
+ * it does not.
+ *
+ * Internal usage for ``fromText`` and ``fromLRC``.
+ *
+ * @param text
+ * @return {Object} ``track`` and ``text``.
+ */
+Lyrics._parseTrackLine = function(text) {
+  var result = null;
+  text = text.trim();
+  each(Lyrics.TRACKS, function(track, definition) {
+    if (text.indexOf(definition.marker) == 0)
+      result = {track: track, text: text.slice(definition.marker.length).trim()};
+  });
+  return result && result.text ? result : null;
+};
+/**
+ * Parse a piece of text (without line breaks) into untimed words, as in
+ * ``fromText``.
+ *
+ * A reading in braces (see ``setRubyOfWord``) belongs to the kanji right
+ * before it, e.g. "漢字{かんじ}", which become a syllable of their own. If
+ * there are none, it belongs to the syllable before it. At the start of a
+ * word, the braces are kept as text.
+ *
+ * @param text
+ * @param tokenization Optional, see ``splitCharacters``. Only applies to
+ *   words without "|".
+ * @return {Array}
+ */
+Lyrics.parseWords = function(text, tokenization) {
+  var kanji = new RegExp(Lyrics.CJK_SCRIPTS.kanji.source + '+$');
+  return map(text.trim().split(/\s+/), function(item) {
+    var explicit = item.replace(/\{[^}]*\}/g, '').indexOf('|') != -1;
+    function split(text) {
+      return explicit ? text.split('|') : Lyrics.splitCharacters(text, tokenization);
+    }
+    var syllables = [], reading = /\{([^}]*)\}/g, start = 0, match;
+    while ((match = reading.exec(item))) {
+      var before = split(item.slice(start, match.index)), base = '';
+      // The kanji may be part of a longer syllable, or of several.
+      while (!explicit && before.length) {
+        var last = before[before.length-1], run = last.match(kanji);
+        if (!run)
+          break;
+        base = run[0] + base;
+        before[before.length-1] = last.slice(0, -run[0].length);
+        if (before[before.length-1])
+          break;
+        before.pop();
+      }
+      base = base || before.pop();
+      syllables = syllables.concat(before);
+      if (base) {
+        syllables.push({text: base, ruby: match[1] ? Lyrics.parseRuby(match[1]) : null});
+        start = reading.lastIndex;
+      }
+      else
+        // There is nothing to attach it to, so it is text after all.
+        start = match.index;
+    }
+    syllables = syllables.concat(split(item.slice(start)));
+    var words = [];
+    each(syllables, function(i, syllable) {
+      if (typeof syllable == 'string')
+        syllable = {text: syllable};
+      if (!syllable.text)
+        return;
+      var word = {text: syllable.text, time: null};
+      if (words.length)
+        word.joined = true;
+      if (syllable.ruby)
+        word.ruby = syllable.ruby;
+      words.push(word);
+    });
+    return words;
+  });
+};
+/**
+ * Return the tokenization (see ``splitCharacters``) for the given text:
+ * "characters" if it contains Chinese, Japanese or Korean characters,
+ * "words" otherwise.
+ *
+ * @param text
+ * @return {String}
+ */
+Lyrics.detectTokenization = function(text) {
+  return /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7AF]/.test(text) ?
+    'characters' : 'words';
+};
+/**
+ * The kinds of characters ``splitCharacters`` tells apart, with their
+ * ranges. The first one that matches counts.
+ */
+Lyrics.CJK_SCRIPTS = {
+  // Small kana belong to the mora of the character before them.
+  small: /[ぁぃぅぇぉゃゅょゎゕゖァィゥェォャュョヮヵヶ\u31F0-\u31FF]/,
+  open: /[「『（【〈《〔［｛〘〖〚｟“‘]/,
+  punctuation: /[\u3001-\u3004\u3008-\u303F\u30FB\uFF01-\uFF0F\uFF1A-\uFF20\uFF3B-\uFF40\uFF5B-\uFF65”’…‥]/,
+  kanji: /[\u3005-\u3007\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/,
+  hiragana: /[\u3040-\u309F]/,
+  katakana: /[\u30A0-\u30FF\uFF66-\uFF9F]/,
+  hangul: /[\u1100-\u11FF\u3130-\u318F\uAC00-\uD7AF]/
+};
+/**
+ * Split a word (without whitespace) into the pieces to be timed on their
+ * own, depending on ``tokenization``:
+ *
+ * - "words": not at all.
+ * - "characters": every Chinese, Japanese or Korean character is a piece
+ *   of its own (see ``Lyrics.CJK_SCRIPTS``).
+ * - "runs": runs of kanji, hiragana, katakana and hangul are pieces.
+ *
+ * Anything else, such as Latin words in a mixed line, stays in one piece.
+ * Punctuation and small kana are added to the piece before them, opening
+ * brackets to the piece after them.
+ *
+ * @param text
+ * @param tokenization
+ * @return {Array} The pieces of text.
+ */
+Lyrics.splitCharacters = function(text, tokenization) {
+  if (tokenization != 'characters' && tokenization != 'runs')
+    return [text];
+  var pieces = [], scripts = [], prefix = '';
+  for (var i=0; i<text.length; i++) {
+    var c = text.charAt(i), script = 'other', last = pieces.length - 1;
+    each(Lyrics.CJK_SCRIPTS, function(name, pattern) {
+      if (script == 'other' && pattern.test(c))
+        script = name;
+    });
+    // ASCII punctuation only belongs to CJK text if it follows it.
+    if (/[!-\/:-@\[-`{-~]/.test(c) && last >= 0 && scripts[last] != 'other')
+      script = 'punctuation';
+    // A long vowel mark lengthens any run of kana, but is a mora of its own.
+    if (c == 'ー' && tokenization == 'runs')
+      script = 'small';
+    if (script == 'open' || (last < 0 && (script == 'small' || script == 'punctuation')))
+      prefix += c;
+    else if (script == 'small' || script == 'punctuation') {
+      pieces[last] += c;
+      // Punctuation ends a run.
+      if (script == 'punctuation')
+        scripts[last] = script;
+    }
+    else if (!prefix && last >= 0 && scripts[last] == script &&
+             (script == 'other' || tokenization == 'runs'))
+      pieces[last] += c;
+    else {
+      pieces.push(prefix + c);
+      scripts.push(script);
+      prefix = '';
+    }
   }
-                      );
-  var lyrics = new Lyrics(duration);
-  lyrics.push.apply(lyrics, splitted);
-  return lyrics;
+  if (prefix && pieces.length)
+    pieces[pieces.length-1] += prefix;
+  else if (prefix)
+    pieces.push(prefix);
+  return pieces;
+};
+/**
+ * Split a single word at "|" characters into syllable entries.
+ *
+ * @param text
+ * @param time Initial time of every syllable.
+ * @return {Array}
+ */
+Lyrics.splitSyllables = function(text, time) {
+  var parts = text.split('|').filter(function(part) { return part; });
+  return map(parts, function(part, index) {
+    var word = {text: part, time: time};
+    if (index > 0)
+      word.joined = true;
+    return word;
+  });
 };
 /**
  * Creates a new instance based on the given lrc file.
  *
- * @param text Will be splitted at whitespace boundaries.
+ * Supports both simple LRC (the words of a line are given the line's time)
+ * and Enhanced LRC with word timestamps. A word timestamp at the very end
+ * of a line is the time at which the line ends. ID tags such as [ar:] are
+ * kept in ``metadata``; [offset:] is applied to all timestamps instead.
+ * Voice markers such as "v1:" or "[F]" assign voices, see
+ * ``_parseVoices``. Readings are given by "@Ruby" tags, see
+ * ``_getRubyTags``. Lines starting with the marker of a track are the
+ * text of that track of the line before them (see ``toELRC``).
+ *
+ * @param text
  * @param duration
+ * @param tokenization Optional, how the words of simple LRC are divided
+ *   further, as in ``fromText``.
  * @return {Lyrics}
  */
-Lyrics.fromLRC = function(text, duration) {
-  var isElrc = (text.toString().match(/(?:\<)(\d*)(?::)(\S*?)(?:\>)/i) != null) ? true : false;;
+Lyrics.fromLRC = function(text, duration, tokenization) {
+  var isElrc = Lyrics.LRC_WORD_TIME.test(text);
+  if (!tokenization || tokenization == 'auto')
+    tokenization = Lyrics.detectTokenization(text);
+  var metadata = {};
   var offset = 0;
-  var tim = [];
-  var lyrics = [];
-  text = text.replace(/ +/g, " ").replace(/　/g,"").replace(/ +\n/g,"\n").replace(/^\s*[\r\n]/gm,"").trim().replace(/(?:\r\n|\r|\n)/g, '<br>\n') + "<br>\n";
-  if (isElrc) {
-      if (!text.match(/(?:\<)(\d*)(?::)(\S*?)(?:\>)<br>/g)) {
-        //if missing add a time tag to the end
-        var regex = /(?:\<)(\d*)(?::)(\S*?)(?:\>) (\S+?)<br>/g;
-        for (var i = 0; matches = regex.exec(text); i++){
-          text = text.replace(matches[0], " <" + matches[1] + ":" + matches[2] + "> " + matches[3] + " <" + matches[1] + ":" + (parseFloat(matches[2]) + 0.1) + "> END<br>");
-        }
-        var regex = /(?:\[)(\d*)(?::)(\S*?)(?:\]) (\S+?)<br>/g;
-        for (var i = 0; matches = regex.exec(text); i++){
-          text = text.replace(matches[0], "[" + matches[1] + ":" + matches[2] + "] " + matches[3] + " <" + matches[1] + ":" + (parseFloat(matches[2]) + 0.1) + "> END<br>");
-        }
-      }
-    } else {
-      text = text.replace(/<br>/g," END<br>")
-      if (!(text.match(/END<br>\n$/g))) {
-    	text += ' END<br>\n';
-      }
+  var entries = [];
+  var rubies = [];
+  var allTextLines = text.replace(/\r\n|\r/g, '\n').split('\n');
+  for (var i=0; i<allTextLines.length; i++) {
+    var line = allTextLines[i].trim();
+    // Readings, e.g. "@Ruby1=漢字,かんじ", optionally with the time range
+    // they apply to.
+    var ruby = line.match(/^@Ruby\d+=([^,]+),([^,]+)(?:,\[?([^,\]]*)\]?(?:,\[?([^,\]]*)\]?)?)?$/i);
+    if (ruby) {
+      rubies.push({
+        text: ruby[1], ruby: Lyrics.parseRuby(ruby[2]),
+        start: ruby[3] ? Lyrics.parseLRCTime(ruby[3]) : -Infinity,
+        end: ruby[4] ? Lyrics.parseLRCTime(ruby[4]) : Infinity
+      });
+      continue;
+    }
+    // ID tags
+    var tag = line.match(/^\[([a-z#]+):(.*)\]$/i);
+    if (tag) {
+      if (tag[1].toLowerCase() == 'offset')
+        // A positive offset makes the lyrics appear sooner.
+        offset = -parseInt(tag[2]) / 1000 || 0;
+      else
+        metadata[tag[1].toLowerCase()] = tag[2].trim();
+      continue;
+    }
+    // A line can have multiple times, if it is repeated.
+    var times = [], match;
+    while ((match = line.match(/^\[(\d+:\d+(?:[.:]\d+)?)\]/))) {
+      times.push(Lyrics.parseLRCTime(match[1]));
+      line = line.slice(match[0].length).trim();
+    }
+    // Any line without the prescribed format is ignored.
+    for (var j=0; j<times.length; j++)
+      entries.push({time: times[j], text: line});
+  }
+  entries.sort(function(a, b) { return a.time - b.time; });
+  var lines = [];
+  for (var i=0; i<entries.length; i++) {
+    var entry = entries[i];
+    var previous = lines[lines.length-1];
+    if (!entry.text) {
+      // An empty line clears the display, so it ends the previous line.
+      if (previous && previous.end == null)
+        previous.end = entry.time;
+      continue;
+    }
+    // Lines starting with the marker of a track (e.g. "tr: Hello") are
+    // that track of the line before them.
+    var track = Lyrics._parseTrackLine(entry.text.replace(
+      new RegExp(Lyrics.LRC_WORD_TIME.source, 'g'), '').replace(/\s+/g, ' '));
+    if (track) {
+      if (previous)
+        previous.tracks[track.track] = track.text;
+      continue;
     }
-
-  function defined(data) {
-  		return data != 'undefined';
-  }
-  // parsing the Lyrics
-  function processLyrics(allText) {
-    var hasOffset = (allText.match(/(?:\[offset:)(.*)(?:])/i) != null) ? true : false;
-    if(hasOffset) {
-      var regex = /(?:\[offset:)(.*)(?:])/g;
-      var matches, output = [];
-      matches = regex.exec(allText);
-      //console.log("Offset: " + matches[1]);
-      offset = matches[1] / 1000;
-    }
-    // This will only divide with respect to new lines
-    allTextLines = allText.split(/\r\n|\n/);
-    //isElrc = (allTextLines.toString().match(/(?:\<)(\d*)(?::)(\S*?)(?:\>)/i) != null) ? true : false;
-    next();
-    tim = tim.filter(defined);
-    lyrics = lyrics.filter(defined);
-
     if (isElrc) {
-      var splitted = [];
-      for (var i = 0; i < lyrics.length; i++) {
-        var tmparry = $.map(lyrics[i], function(item, index) {
-        if (item && item != " END<br>") {
-
-          return {text: item.trim(), time: tim[i][index] + offset};
-        }
-        });
-        splitted = splitted.concat(tmparry);
-      }
-    } else {
-      var splitted = [];
-      for (var i = 0; i < lyrics.length; i++) {
-        var tmparry = $.map(lyrics[i].split(/\s+/g), function(item, index) {
-        if (item && item != " END<br>")
-          return {text: item.trim(), time: tim[i] + offset + (index/100)};
+      lines.push(Lyrics._parseVoices(extend(Lyrics._parseELRCLine(entry.text, entry.time),
+                                            {tracks: {}})));
+      continue;
+    }
+    var words = map(entry.text.split(/\s+/), function(item) {
+      return map(Lyrics.splitCharacters(item, tokenization), function(piece, j) {
+        return j > 0 ? {text: piece, joined: true} : {text: piece};
       });
-        splitted = splitted.concat(tmparry);
-      }
-
+    });
+    // Simple LRC: space out the words a little, so they stay in order.
+    each(words, function(index, word) {
+      word.time = entry.time + index/100;
+    });
+    lines.push(Lyrics._parseVoices({time: entry.time, end: null, tracks: {}, words: words}));
+  }
+  function applyOffset(item) {
+    if (item.time != null)
+      item.time += offset;
+    if (item.end != null)
+      item.end += offset;
+  }
+  each(lines, function(i, line) {
+    Lyrics._applyRubies(line, rubies);
+    applyOffset(line);
+    each(line.words, function(j, word) {
+      applyOffset(word);
+      each(word.ruby || [], function(m, mora) {
+        applyOffset(mora);
+      });
+    });
+  });
+  var lyrics = Lyrics.fromLines(lines, duration);
+  lyrics.metadata = metadata;
+  return lyrics;
+};
+/**
+ * Give the words of a line the readings of "@Ruby" tags (see
+ * ``_getRubyTags``) for their text, if they start within the time range of
+ * the tag. Syllables which only make up the text together (e.g. when
+ * every character was timed) are merged into one word.
+ *
+ * Internal usage for ``fromLRC``.
+ *
+ * @param line Changed in place.
+ * @param rubies Objects with ``text``, ``ruby``, ``start`` and ``end``.
+ */
+Lyrics._applyRubies = function(line, rubies) {
+  var words = line.words;
+  for (var j=0; j<words.length; j++) {
+    var time = words[j].time != null ? words[j].time : line.time;
+    for (var r=0; r<rubies.length; r++) {
+      var ruby = rubies[r], text = words[j].text, k = j;
+      if (time < ruby.start || time > ruby.end)
+        continue;
+      while (text.length < ruby.text.length && words[k+1] && words[k+1].joined)
+        text += words[++k].text;
+      if (text != ruby.text)
+        continue;
+      words.splice(j, k-j+1, extend({}, words[j], {
+        text: text, end: words[k].end, ruby: map(ruby.ruby, function(mora) {
+          return extend({}, mora);
+        })
+      }));
+      break;
     }
-
-    return splitted;
-  }
-  function next() {
-    for (i = 0; i < allTextLines.length; i++) {
-      if (allTextLines[i].search(/^(\[)(\d*)(:)(.*)(\])(.*)/i) >= 0) // any line without the prescribed format wont enter this loop
-      {
-        line = allTextLines[i].match(/^(\[)(\d*)(:)(.*)(\])(.*)/i);
-        var time = (parseInt(line[2]) * 60) + parseFloat(line[4]);
-        // will give seconds
-        // if file is a Enhanced format lrc file
-        if (isElrc){
-          tim[i] = [];
-          tim[i][0] = time;
-          lyrics[i] = [];
-          var tmp = line[6].match(/(?: )(.*?)(?: |$)/i);
-          lyrics[i][0] = tmp[0].trim();
-          var regex = /(?:\<)(\d*)(?::)(.*?)(?:\>) (.*?)(?: |\n|$)/g;
-          //var word = line[6].match(/(?:\<)(\d*)(?::)(.*?)(?:\>) (.*?)(?: |\n|$)/g);
-          var matches, output = [];
-          for (x = 1; matches = regex.exec(line[6]); x++) {
-            //output.push(matches[1]);
-            //console.log(matches[1] + matches[2] + matches[3]);
-            tim[i][x] = (parseInt(matches[1]) * 60) + parseFloat(matches[2]);
-            // will give seconds
-            lyrics[i][x] = matches[3];
-          }
-          //if proper elrc file, it will have another time tag at the end
-          if (line[6].match(/(?:\<)(\d*)(?::)(\S*?)(?:\>\n|\>$)/i)) {
-            var last = line[6].match(/(?:\<)(\d*)(?::)(\S*?)(?:\>\n|\>$)/i);
-            tim[i][tim[i].length] = (parseInt(last[1]) * 60) + parseFloat(last[2]);
-            lyrics[i][lyrics[i].length] = "END<br>";
-            //console.log(tim[i][tim[i].length - 1]);
-          }
-        }
-        else {
-          // file is a normal lrc file
-          tim[i] = time;
-          lyrics[i] = line[6];
-          //will give lyrics
+  }
+};
+/**
+ * Matches an Enhanced LRC word timestamp, e.g. "<01:02.34>".
+ */
+Lyrics.LRC_WORD_TIME = /<(\d+:\d+(?:[.:]\d+)?)>/;
+/**
+ * Parse a LRC timestamp ("mm:ss.xx", or "mm:ss:xx") into seconds.
+ *
+ * @param time
+ * @return {Number}
+ */
+Lyrics.parseLRCTime = function(time) {
+  var parts = time.split(':');
+  var seconds = parseInt(parts[0]) * 60 + parseFloat(parts[1]);
+  if (parts.length > 2)
+    seconds += parseFloat('0.' + parts[2]);
+  return seconds;
+};
+/**
+ * Parse the words of an Enhanced LRC line (without the line timestamp).
+ *
+ * Internal usage for ``fromLRC``.
+ *
+ * @param text
+ * @param time The line timestamp, used for the first word if it has no
+ *   timestamp of its own.
+ * @return {Object} The line, see ``getLines``.
+ */
+Lyrics._parseELRCLine = function(text, time) {
+  var line = {time: time, end: null, words: null};
+  var token = new RegExp(Lyrics.LRC_WORD_TIME.source + '|(\\s+)|([^\\s<]+|<)', 'g');
+  var words = [], hadSpace = true, match;
+  while ((match = token.exec(text))) {
+    if (match[1]) {
+      // Two timestamps in a row: the first one is the end of the previous
+      // word (i.e. there is a pause).
+      if (time != null && words.length)
+        words[words.length-1].end = time;
+      time = Lyrics.parseLRCTime(match[1]);
+    }
+    else if (match[2])
+      hadSpace = true;
+    else {
+      var word = {text: match[3], time: time};
+      // A timestamp within a word starts a new syllable.
+      if (!hadSpace && words.length)
+        word.joined = true;
+      words.push(word);
+      time = null;
+      hadSpace = false;
+    }
+  }
+  // A timestamp left over at the end of the line is the line's end.
+  if (time != null && words.length)
+    line.end = time;
+  line.words = words;
+  return line;
+};
+/**
+ * Take the voice markers (see ``Lyrics.parseVoiceMarker``) out of the
+ * words of a line, and assign their voices instead: a marker at the start
+ * of the line sets the voice of the line, any other one the voice of the
+ * words after it. A bracket marker may also be glued to the following
+ * word, e.g. "[F]Hello".
+ *
+ * Internal usage for the importers.
+ *
+ * @param line Changed in place.
+ * @return {Object} The line.
+ */
+Lyrics._parseVoices = function(line) {
+  var words = [], voice = null, time = null, afterMarker = false;
+  each(line.words, function(i, word) {
+    var glued = word.joined ? null : word.text.match(/^(\[[MFD]\])(.+)$/);
+    var marker = Lyrics.parseVoiceMarker(glued ? glued[1] : word.text);
+    if (marker) {
+      if (!words.length && !line.voice)
+        line.voice = marker;
+      voice = marker;
+      // The marker may have been given the time of the word after it.
+      if (time == null)
+        time = word.time;
+      afterMarker = true;
+      if (!glued)
+        return;
+      word.text = glued[2];
+    }
+    // A syllable glued to a marker starts a word of its own.
+    if (afterMarker)
+      delete word.joined;
+    if (word.time == null && time != null)
+      word.time = time;
+    time = null;
+    afterMarker = false;
+    if (voice)
+      word.voice = voice;
+    if (word.voice == line.voice)
+      delete word.voice;
+    words.push(word);
+  });
+  line.words = words;
+  return line;
+};
+/**
+ * Creates a new instance based on the given SubRip (.srt) file.
+ *
+ * Every cue becomes a line, which starts and ends with the cue. Its first
+ * word is timed with the cue start as well.
+ *
+ * @param text
+ * @param duration
+ * @return {Lyrics}
+ */
+Lyrics.fromSRT = function(text, duration) {
+  return Lyrics.fromCues(Lyrics.parseCues(text), duration);
+};
+/**
+ * Creates a new instance based on the given WebVTT (.vtt) file.
+ *
+ * Like ``fromSRT``, but inline timestamps ("<00:00:01.000>") within a cue
+ * are used as the time of the following word. A timestamp directly
+ * within a word (without whitespace before) starts a new syllable. Voice
+ * spans such as "<v v2>" assign the voices of ``Lyrics.VOICES``, and ruby
+ * text ("<ruby>漢字<rt>かんじ</rt></ruby>") the reading of a word.
+ *
+ * @param text
+ * @param duration
+ * @return {Lyrics}
+ */
+Lyrics.fromVTT = function(text, duration) {
+  return Lyrics.fromCues(Lyrics.parseCues(text), duration);
+};
+/**
+ * Extract the cues of a SubRip or WebVTT file.
+ *
+ * @param text
+ * @return {Array} Objects with ``start``, ``end`` and ``text``.
+ */
+Lyrics.parseCues = function(text) {
+  var timing = new RegExp('^\\s*(' + Lyrics.TIMESTAMP.source + ')\\s*-->\\s*(' +
+                          Lyrics.TIMESTAMP.source + ')');
+  var blocks = text.replace(/\r\n|\r/g, '\n').split(/\n\s*\n/);
+  var cues = [];
+  for (var i=0; i<blocks.length; i++) {
+    var lines = blocks[i].trim().split('\n');
+    // Skip the cue identifier (if any). Blocks without a timing line,
+    // such as the WebVTT header or NOTE, STYLE and REGION blocks, are
+    // ignored entirely.
+    for (var j=0; j<lines.length && !timing.test(lines[j]); j++);
+    if (j == lines.length)
+      continue;
+    var match = lines[j].match(timing);
+    cues.push({
+      start: Lyrics.parseTimestamp(match[1]),
+      end: Lyrics.parseTimestamp(match[2]),
+      text: lines.slice(j+1).join(' ')
+    });
+  }
+  return cues;
+};
+/**
+ * Creates a new instance from the given cues, see ``parseCues``.
+ *
+ * @param cues
+ * @param duration
+ * @return {Lyrics}
+ */
+Lyrics.fromCues = function(cues, duration) {
+  var entities = {'&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' '};
+  function decode(text) {
+    return text.replace(/&\w+;/g, function(entity) {
+      return entities[entity] || entity;
+    });
+  }
+  var token = new RegExp('<(' + Lyrics.TIMESTAMP.source + ')>|(<[^>]*>)|(\\s+)|([^\\s<]+)', 'g');
+  var lines = [];
+  for (var i=0; i<cues.length; i++) {
+    var cue = cues[i];
+    var time = cue.start, hadSpace = true, words = [];
+    var line = {time: cue.start, end: cue.end, voice: null, words: words};
+    var voice = null, reading = null;
+    // Remove SubRip/SSA positioning codes like "{\an8}".
+    var cueText = cue.text.replace(/\{\\[^}]*\}/g, '');
+    var match;
+    while ((match = token.exec(cueText))) {
+      if (reading != null && !/^<\/rt>$/i.test(match[0])) {
+        // Ruby text is the reading of the word before it, timestamps
+        // within it are the times of its morae.
+        if (match[1])
+          reading += '[' + Lyrics.toTimer(Lyrics.parseTimestamp(match[1])) + ']';
+        else if (match[4])
+          reading += decode(match[4]);
+      }
+      else if (/^<rt>$/i.test(match[0]))
+        reading = '';
+      else if (/^<\/rt>$/i.test(match[0])) {
+        if (reading && words.length)
+          words[words.length-1].ruby = Lyrics.parseRuby(reading);
+        reading = null;
+      }
+      else if (match[1])
+        time = Lyrics.parseTimestamp(match[1]);
+      else if (match[2]) {
+        // Voice spans (and the font colours written by ``toSRT``) are
+        // read as voices, other formatting tags such as <i> or <c.foo>
+        // are dropped.
+        var tag = match[2].match(/^<(\/?)(v|font)\b[^>]*?(?:\s([^\s>="]+)|color="?(#\w+)"?)?>$/i);
+        if (tag && tag[1])
+          voice = null;
+        else if (tag) {
+          voice = null;
+          each(Lyrics.VOICES, function(key, definition) {
+            if (key == tag[3] || definition.color == (tag[4] || '').toLowerCase())
+              voice = key;
+          });
+          if (!words.length)
+            line.voice = voice;
         }
       }
+      else if (match[3])
+        hadSpace = true;
+      else {
+        var word = {
+          text: decode(match[4]),
+          time: time
+        };
+        if (!hadSpace && words.length)
+          word.joined = true;
+        if (voice)
+          word.voice = voice;
+        words.push(word);
+        time = null;
+        hadSpace = false;
+      }
     }
+    lines.push(Lyrics._parseVoices(line));
   }
-
-
-
-  var splitted = processLyrics(text);
-
-  var lyrics = new Lyrics(duration);
-  lyrics.push.apply(lyrics, splitted);
-  return lyrics;
+  return Lyrics.fromLines(lines, duration);
+};
+/**
+ * Matches a SubRip/WebVTT timestamp, hours are optional.
+ */
+Lyrics.TIMESTAMP = /(?:\d+:)?\d{1,2}:\d{1,2}[.,]\d{1,3}/;
+/**
+ * Parse a timestamp as matched by ``Lyrics.TIMESTAMP`` into seconds.
+ *
+ * @param timestamp
+ * @return {Number}
+ */
+Lyrics.parseTimestamp = function(timestamp) {
+  var parts = timestamp.replace(',', '.').split(':');
+  var seconds = 0;
+  for (var i=0; i<parts.length; i++)
+    seconds = seconds * 60 + parseFloat(parts[i]);
+  return seconds;
+};
+/**
+ * Guess the format of the given lyrics file.
+ *
+ * @param text
+ * @return {String} One of "vtt", "srt", "lrc" or "text".
+ */
+Lyrics.detectFormat = function(text) {
+  if (/^\uFEFF?WEBVTT/.test(text))
+    return 'vtt';
+  if (new RegExp(Lyrics.TIMESTAMP.source + '\\s*-->').test(text))
+    return 'srt';
+  if (/^\s*\[\w+:[^\]]*\]/m.test(text))
+    return 'lrc';
+  return 'text';
 };
 /**
  * Format a time in seconds in human readable form.
@@ -346,222 +2646,52 @@ Lyrics.fromLRC = function(text, duration) {
  */
 Lyrics.toTimer = function(time, withHours) {
   var h, m, s, ms;
-  h = Math.floor( time / 3600 );
+  // Round to whole milliseconds first, so that times written and read
+  // again do not drift.
+  var total = Math.round( time * 1000 );
+  h = Math.floor( total / 3600000 );
   h = isNaN( h ) ? '--' : ( h >= 10 ) ? h : '0' + h;
-  m = withHours ? Math.floor( time / 60 % 60 ) : Math.floor( time / 60 );
+  m = withHours ? Math.floor( total / 60000 ) % 60 : Math.floor( total / 60000 );
   m = isNaN( m ) ? '--' : ( m >= 10 ) ? m : '0' + m;
-  s = Math.floor( time % 60 );
+  s = Math.floor( total / 1000 ) % 60;
   s = isNaN( s ) ? '--' : ( s >= 10 ) ? s : '0' + s;
-  ms = Math.floor((time - Math.floor(time)) * 1000);
-  ms = isNaN( ms ) ? '--' : ( ms >= 100 ) ? ms : ( ms > 10 ) ? '0' + ms : '00' + ms;
+  ms = total % 1000;
+  ms = isNaN( ms ) ? '--' : ( ms >= 100 ) ? ms : ( ms >= 10 ) ? '0' + ms : '00' + ms;
   return withHours ? h + ':' + m + ':' + s : m + ':' + s + '.' + ms;
 };
 /**
- * Controller that renders lyrics, and allows interaction (i.e. set
- * timestamps via mouse/keyboard).
- *
- * @param selector DOM element to use as a container.
- * @param media HTML5 audio/video element to which the lyrics belong.
- * @param lyrics An instance of ``Lyrics``.
- * @constructor
- */
-LyricsBox = function(selector, media, lyrics) {
-  this.container = container = $(selector);
-  this.media = media;
-  this.setLyrics(lyrics);
-  var self = this;
-  // While the audio is playing, highlight the current word in the lyrics
-  media.addEventListener('timeupdate', function(e) {
-    var index = self.lyrics.getIndexForTime(e.target.currentTime);
-    container.find('span').removeClass('current');
-    if (index != undefined)
-      self.lyrics[index].dom.addClass('current');
-  }
-                        );
-  // Add a class to the lyrics box whenever the audio is playing.
-  media.addEventListener('play',
-                         function() {
-                           container.addClass('playing') }
-                        );
-  media.addEventListener('pause',
-                         function() {
-                           container.removeClass('playing') }
-                        );
-  // Disable right click on the whole box. The word have their own
-  // handlers, but accidental clicking next to a word shouldn't
-  // interrupt with a context menu.
-  this.container.on('contextmenu', function() {
-    return false;
-  }
-                   );
-  // Setup assigning timestamps by keypress.
-  $(document).on('keydown', function(e) {
-    if (Shortcuts.modalDialogVisible())
-      return;
-    if (e.ctrlKey)
-      // Because various ctrl+X keys are used as a global shortcut as
-      // well, and this means we don't have to worry about handler order.
-      return;
-    if (e.keyCode == 32)  {
-      // Space key
-      // Assign time to current index, then move cursor forward if
-      // that was successful.
-      if (self._assignTime(self.keyboardCursorIndex)) {
-        self.setKeyboardCursorIndex(self.keyboardCursorIndex+1);
-        return false;
-      }
-    }
-    else if (e.keyCode == 46) {
-      // Del key
-      self.lyrics.setTimeOfWord(self.keyboardCursorIndex, null);
-      self.setKeyboardCursorIndex(self.keyboardCursorIndex-1);
-      return false;
-    }
-    else if (e.keyCode == 39) {
-      // right arrow
-      self.setKeyboardCursorIndex(self.keyboardCursorIndex+1);
-      return false;
-    }
-    else if (e.keyCode == 37) {
-      // left arrow
-      self.setKeyboardCursorIndex(self.keyboardCursorIndex-1);
-      return false;
-    }
-  }
-                );
-};
-/**
- * Connect with a new lyrics object.
+ * Format a time in seconds as used by subtitle formats, i.e.
+ * "hh:mm:ss.ttt".
  *
- * @param lyrics
+ * @param time
+ * @param separator Put before the milliseconds, defaults to ".".
+ * @return {String}
  */
-LyricsBox.prototype.setLyrics = function(lyrics) {
-  this.lyrics = lyrics;
-  if (this.lyrics) {
-    this.update();
-    // Reset the keyboard cursor.
-    this.setKeyboardCursorIndex();
+Lyrics.toTimestamp = function(time, separator) {
+  var ms = Math.round((time || 0) * 1000);
+  function pad(value, length) {
+    value = String(value);
+    while (value.length < length)
+      value = '0' + value;
+    return value;
   }
+  return pad(Math.floor(ms / 3600000), 2) + ':' +
+    pad(Math.floor(ms / 60000) % 60, 2) + ':' +
+    pad(Math.floor(ms / 1000) % 60, 2) + (separator || '.') +
+    pad(ms % 1000, 3);
 };
 /**
- * Re-render the UI.
- */
-LyricsBox.prototype.update = function() {
-  var self = this;
-  var container = this.container;
-  var media = this.media;
-  var lyrics = this.lyrics;
-  function setTimeForSpan(span, time) {
-    if (time) {
-      span.addClass('timed');
-      span.attr('title', Lyrics.toTimer(time));
-    }
-    else {
-      span.removeClass('timed');
-      span.attr('title', '');
-    }
-  }
-  // Generate a list of words.
-  this.container.empty();
-  for (var index = 0; index<this.lyrics.length; index++) {
-    var word = this.lyrics[index];
-    var elem = $('<span>'+(word.text?word.text:'-')+'</span>');
-    setTimeForSpan(elem, word.time);
-    // TODO: Can be sped up by using a single handler for all spans.
-    (function(word, index)
-     {
-       // When playing, a left click connects the word with the current
-       // playing position. Use "mousedown" here (instead of click),
-       // which is closer to the time the user actually decided to click.
-       elem.mousedown(function(e) {
-         if (e.which !== 1)
-           return;
-         if (self._assignTime(index))
-           self.setKeyboardCursorIndex(index+1);
-         else
-           // If assign time fails (usually because we're not
-           // playing, set the keyboard cursor the the word that was
-           // clicked, instead of the next word.
-           self.setKeyboardCursorIndex(index);
-       }
-                     );
-       // On right click, start playing from that word's position.
-       elem.on('contextmenu', function(e) {
-         // Set the keyboard cursor here
-         self.setKeyboardCursorIndex(index);
-         // Bail out now if no audio is loaded
-         if (media.readyState == media.HAVE_NOTHING)
-           return true;
-         // Otherwise, go and set the play position
-         var goto = word.time;
-         if (goto == null) {
-           goto = lyrics.getApproximateTime(index);
-         }
-         media.play();
-         media.currentTime = goto - 1.5;
-         // go to shortly before
-         e.preventDefault();
-         return false;
-       }
-              );
-     }
-    )(word, index);
-    word.dom = elem;
-    this.container.append(elem);
-    this.container.append(' ');
-  }
-  // As timestamps are assigned and removed, update the style of the words
-  this.lyrics.on('timeChanged', function(index, time) {
-    var word = container.find('span').eq(index);
-    setTimeForSpan(word, time);
-    // Indicate a change of value regardless of whether the timestamp
-    // was removed or added.
-    word.addClass('updated');
-    // I'd like the animation to be defined in CSS, but this
-    // is a) vendor specific and b) does't react to multiple
-    // fast clicks (while the animation is still ongoing) the
-    // way it is supposed to. TODO: find better solution.
-    word.one('webkitAnimationEnd', function() {
-      word.removeClass('updated');
-    }
-            );
-  }
-                );
-};
-/**
- * Set a time value for the given index, if possible.
- *
- * Internal usage, does some validation.
- */
-LyricsBox.prototype._assignTime = function(index) {
-  if (this.media.readyState == 0 || this.media.paused)
-    return;
-  if (index >= this.lyrics.length)
-    return;
-  this.lyrics.setTimeOfWord(index, this.media.currentTime);
-  return true;
-};
-/**
- * Set a time value for the given index, if possible.
+ * Format a time in seconds as used by SubStation Alpha, i.e.
+ * "h:mm:ss.cc".
  *
- * Internal usage, does some validation.
+ * @param time
+ * @return {String}
  */
-LyricsBox.prototype.setKeyboardCursorIndex = function(index) {
-  // Validate the incoming value. If no index is given, reset to 0.
-  // The key behind this construct is that if index == undefined, the
-  // 'has the value changed check' below is not run.
-  if (index == undefined)
-    index = 0;
-  else {
-    index = Math.max(0, Math.min(index, this.lyrics.length-1));
-    if (index == this.keyboardCursorIndex)
-      return;
-  }
-  // Clear the old cursor
-  var spans = this.container.find('span');
-  if (this.keyboardCursorIndex != undefined)
-    spans.eq(this.keyboardCursorIndex).removeClass('cursor');
-  this.keyboardCursorIndex = index;
-  // Set the new cursor
-  spans.eq(this.keyboardCursorIndex).addClass('cursor');
+Lyrics.toASSTimestamp = function(time) {
+  // Cut off the last digit of the milliseconds, and the first of the hours.
+  var timestamp = Lyrics.toTimestamp(Math.round((time || 0) * 100) / 100);
+  return timestamp.slice(1, -1);
 };
+
+exports.Lyrics = Lyrics;
+}(typeof module !== 'undefined' && module.exports ? module.exports : this));
@@ -0,0 +1,818 @@
+/**
+ * Controller that renders lyrics, and allows interaction (i.e. set
+ * timestamps via mouse/keyboard).
+ *
+ * Emits "snapped" with the index, the tapped and the snapped time whenever
+ * a time is moved to an onset (see ``setSnapWindow``).
+ *
+ * @param selector DOM element to use as a container.
+ * @param media HTML5 audio/video element to which the lyrics belong.
+ * @param lyrics An instance of ``Lyrics``.
+ * @constructor
+ */
+LyricsBox = function(selector, media, lyrics) {
+  EventEmitter.apply(this);
+  this.container = container = $(selector);
+  this.media = media;
+  this.holdMode = false;
+  this.moraMode = false;
+  this.showTracks = false;
+  this.onsets = null;
+  this.snapWindow = 0;
+  this.latency = 0;
+  var self = this;
+  // Listeners for the lyrics, bound once so they can be removed again in
+  // ``setLyrics``.
+  this._onTimeChanged = function(index) {
+    var word = container.find('span').eq(index);
+    self._setTimeForSpan(word, index);
+    // Indicate a change of value regardless of whether the timestamp
+    // was removed or added.
+    word.addClass('updated');
+    // I'd like the animation to be defined in CSS, but this
+    // is a) vendor specific and b) does't react to multiple
+    // fast clicks (while the animation is still ongoing) the
+    // way it is supposed to. TODO: find better solution.
+    word.one('webkitAnimationEnd', function() {
+      word.removeClass('updated');
+    }
+            );
+  };
+  this._onEndChanged = function(index) {
+    self._setTimeForSpan(container.find('span').eq(index), index);
+  };
+  // Words inserted or removed move the cursor along with its word.
+  this._onWordsInserted = function(index, count) {
+    var cursor = self.keyboardCursorIndex;
+    self._taps = {};
+    self.selection = null;
+    self.update();
+    self.keyboardCursorIndex = null;
+    self.setKeyboardCursorIndex(cursor >= index ? cursor + count : cursor);
+  };
+  this._onWordsRemoved = function(index, count) {
+    var cursor = self.keyboardCursorIndex;
+    self._taps = {};
+    self.selection = null;
+    self.update();
+    self.keyboardCursorIndex = null;
+    self.setKeyboardCursorIndex(cursor >= index + count ? cursor - count :
+                                Math.min(cursor, index));
+  };
+  this._onTextChanged = function(index) {
+    var cursor = self.keyboardCursorIndex;
+    self.update();
+    self.keyboardCursorIndex = null;
+    self.setKeyboardCursorIndex(cursor);
+  };
+  this._onLineTimeChanged = function(lineIndex) {
+    self._setTimeForLineEnd(container.find('.line-end').eq(lineIndex), lineIndex);
+  };
+  this._onVoiceChanged = function(index) {
+    self._setVoiceForSpan(container.find('span').eq(index), index);
+  };
+  this._onLineVoiceChanged = function(lineIndex) {
+    self._setVoiceForLine(container.find('div.line').eq(lineIndex), lineIndex);
+  };
+  this._onLineTracksChanged = function(lineIndex) {
+    container.find('aside.tracks').eq(lineIndex).replaceWith(self._createTracks(lineIndex));
+  };
+  this._onRubyChanged = function(index) {
+    self._setTextForSpan(container.find('span').eq(index), index);
+    if (index == self.keyboardCursorIndex)
+      self._setMoraCursor(self._moraCursor);
+  };
+  this.setLyrics(lyrics);
+  // While the audio is playing, highlight the current word in the lyrics
+  media.addEventListener('timeupdate', function(e) {
+    var index = self.lyrics.getIndexForTime(e.target.currentTime);
+    container.find('span').removeClass('current');
+    if (index != undefined)
+      self.lyrics[index].dom.addClass('current');
+  }
+                        );
+  // Add a class to the lyrics box whenever the audio is playing.
+  media.addEventListener('play',
+                         function() {
+                           container.addClass('playing') }
+                        );
+  media.addEventListener('pause',
+                         function() {
+                           container.removeClass('playing') }
+                        );
+  // Disable right click on the whole box. The word have their own
+  // handlers, but accidental clicking next to a word shouldn't
+  // interrupt with a context menu.
+  this.container.on('contextmenu', function() {
+    return false;
+  }
+                   );
+  // Setup assigning timestamps by keypress.
+  $(document).on('keydown', function(e) {
+    if (Shortcuts.modalDialogVisible() || Shortcuts.isTyping(e) ||
+        $('#preview').is(':visible'))
+      return;
+    var action = Shortcuts.getAction(e);
+    var cursor = self.keyboardCursorIndex;
+    if (!self.lyrics)
+      return;
+    if (action == 'tap')  {
+      var index = self.keyboardCursorIndex;
+      // While the key is held in hold mode, ignore the auto-repeat.
+      if (self._holdIndex != null)
+        return false;
+      // In mora mode, the taps after the one for a word with a reading
+      // time the other morae of the reading.
+      if (self._moraCursor) {
+        if (self._assignMoraTime(index, self._moraCursor)) {
+          if (self._moraCursor + 1 < self.lyrics[index].ruby.length)
+            self._setMoraCursor(self._moraCursor + 1);
+          else
+            self.setKeyboardCursorIndex(index+1);
+        }
+        return false;
+      }
+      // Assign time to current index, then move cursor forward if
+      // that was successful. In hold mode, the cursor only moves once
+      // the key is released.
+      if (self._assignTime(index)) {
+        var ruby = self.lyrics[index].ruby;
+        if (self.holdMode) {
+          self._holdIndex = index;
+          self._holdKeyCode = e.keyCode;
+        }
+        else if (self.moraMode && ruby && ruby.length > 1)
+          self._setMoraCursor(1);
+        else
+          self.setKeyboardCursorIndex(index+1);
+        return false;
+      }
+    }
+    else if (action == 'endLine') {
+      // After the last word of a line, this ends that line.
+      if (cursor > 0 && self.media.readyState && !self.media.paused)
+        self.lyrics.setEndOfLine(self.lyrics.getLineOfWord(cursor-1),
+                                 self._snap(self._tapTime()));
+      return false;
+    }
+    else if (action == 'clearTime') {
+      self.lyrics.setTimeOfWord(self.keyboardCursorIndex, null);
+      self.setKeyboardCursorIndex(self.keyboardCursorIndex-1);
+      return false;
+    }
+    else if (action == 'nextWord' || action == 'previousWord' ||
+             action == 'selectNext' || action == 'selectPrevious') {
+      var previous = self.keyboardCursorIndex;
+      var forward = action == 'nextWord' || action == 'selectNext';
+      self.setKeyboardCursorIndex(previous + (forward ? 1 : -1));
+      if (action == 'selectNext' || action == 'selectPrevious')
+        self.extendSelection(previous, self.keyboardCursorIndex);
+      else
+        self.setSelection(null);
+      return false;
+    }
+    else if (action == 'editWord') {
+      self.editWord(cursor);
+      return false;
+    }
+    else if (action == 'insertWord') {
+      self.editWord(cursor, true);
+      return false;
+    }
+    else if (action == 'deleteWord') {
+      if (self.lyrics[cursor])
+        self.lyrics.removeWords(cursor, 1);
+      return false;
+    }
+    else if (action == 'mergeWords') {
+      var line = self.lyrics.getLineOfWord(cursor);
+      if (line != null && self.lyrics.getLineOfWord(cursor+1) === line)
+        self.lyrics.mergeWords(cursor);
+      return false;
+    }
+    else if (action == 'lineBreak') {
+      // At the start of a line, join it with the previous one; otherwise
+      // start a new line here.
+      var lineIndex = self.lyrics.getLineOfWord(cursor);
+      if (lineIndex == null)
+        return false;
+      if (self.lyrics.getLines()[lineIndex].index == cursor) {
+        if (lineIndex > 0)
+          self.lyrics.joinLines(lineIndex-1);
+      }
+      else
+        self.lyrics.splitLine(cursor);
+      return false;
+    }
+    else if (action == 'lineVoice') {
+      var lineIndex = self.lyrics.getLineOfWord(cursor);
+      if (lineIndex != null)
+        self.lyrics.setVoiceOfLine(lineIndex, self._nextVoice(
+          self.lyrics.getLines()[lineIndex].voice));
+      return false;
+    }
+    else if (action == 'editTrack') {
+      var lineIndex = self.lyrics.getLineOfWord(cursor);
+      if (lineIndex != null)
+        self.editTrack(lineIndex, Object.keys(Lyrics.TRACKS)[0]);
+      return false;
+    }
+    else if (action == 'wordVoice') {
+      // All selected words get the voice after that of the word at the
+      // cursor.
+      if (!self.lyrics[cursor])
+        return false;
+      var voice = self._nextVoice(self.lyrics.getVoiceOfWord(cursor));
+      var selection = self.selection || {from: cursor, to: cursor};
+      self.lyrics.batch(function() {
+        for (var i=selection.from; i<=selection.to; i++)
+          this.setVoiceOfWord(i, voice);
+      });
+      return false;
+    }
+  }
+                );
+  // In hold mode, releasing the key sets the end of the word.
+  $(document).on('keyup', function(e) {
+    if (self._holdIndex == null || e.keyCode != self._holdKeyCode)
+      return;
+    var index = self._holdIndex;
+    self._holdIndex = null;
+    if (!self.media.paused)
+      self.lyrics.setEndOfWord(index, self._tapTime());
+    self.setKeyboardCursorIndex(index+1);
+    return false;
+  }
+                );
+};
+$.extend(LyricsBox.prototype, EventEmitter.extend());
+/**
+ * Switch the hold mode on or off.
+ *
+ * In hold mode, pressing the tap key (Space by default) sets the start of
+ * a word, and releasing it sets the word's end, so that held notes are
+ * timed as they are sung.
+ *
+ * @param on_or_off
+ */
+LyricsBox.prototype.setHoldMode = function(on_or_off) {
+  this.holdMode = on_or_off;
+  this._holdIndex = null;
+};
+/**
+ * Switch the mora mode on or off.
+ *
+ * In mora mode, tapping a word with a reading (see
+ * ``Lyrics.setRubyOfWord``) keeps the keyboard cursor on it, and the next
+ * taps time the other morae of the reading, one after the other. This
+ * does not apply in hold mode.
+ *
+ * @param on_or_off
+ */
+LyricsBox.prototype.setMoraMode = function(on_or_off) {
+  this.moraMode = on_or_off;
+  this._setMoraCursor(0);
+};
+/**
+ * Show or hide the side column with the tracks of the lines (see
+ * ``Lyrics.setTrackOfLine``), e.g. their translations.
+ *
+ * @param on_or_off
+ */
+LyricsBox.prototype.setShowTracks = function(on_or_off) {
+  this.showTracks = on_or_off;
+  this.container.toggleClass('with-tracks', on_or_off);
+};
+/**
+ * Set the user's reaction time (in seconds), which is subtracted from
+ * every time set by tapping. See ``LatencyCalibration``.
+ *
+ * @param seconds
+ */
+LyricsBox.prototype.setLatency = function(seconds) {
+  this.latency = seconds;
+};
+/**
+ * The play position at which the user meant to tap, i.e. the current one
+ * corrected by the latency.
+ */
+LyricsBox.prototype._tapTime = function() {
+  return Math.max(0, this.media.currentTime - this.latency);
+};
+/**
+ * Set the onsets detected in the media (a sorted list of times), see
+ * ``setSnapWindow``.
+ *
+ * @param onsets
+ */
+LyricsBox.prototype.setOnsets = function(onsets) {
+  this.onsets = onsets;
+};
+/**
+ * Snap the times set by tapping to the nearest onset, if there is one
+ * within the given number of seconds. Pass 0 to switch snapping off.
+ *
+ * @param seconds
+ */
+LyricsBox.prototype.setSnapWindow = function(seconds) {
+  this.snapWindow = seconds;
+};
+/**
+ * Return the onset nearest to ``time`` within the snap window, or
+ * ``time`` itself if there is none.
+ *
+ * @param time
+ */
+LyricsBox.prototype._snap = function(time) {
+  var onsets = this.onsets;
+  if (!this.snapWindow || !onsets || !onsets.length)
+    return time;
+  // Binary search for the first onset after the time.
+  var low = 0, high = onsets.length;
+  while (low < high) {
+    var middle = (low + high) >> 1;
+    if (onsets[middle] < time)
+      low = middle + 1;
+    else
+      high = middle;
+  }
+  var nearest = time, distance = this.snapWindow;
+  for (var i=Math.max(0, low-1); i<=low && i<onsets.length; i++) {
+    if (Math.abs(onsets[i] - time) <= distance) {
+      nearest = onsets[i];
+      distance = Math.abs(onsets[i] - time);
+    }
+  }
+  return nearest;
+};
+/**
+ * Connect with a new lyrics object.
+ *
+ * @param lyrics
+ */
+LyricsBox.prototype.setLyrics = function(lyrics) {
+  if (this.lyrics) {
+    this.lyrics.off('timeChanged', this._onTimeChanged);
+    this.lyrics.off('endChanged', this._onEndChanged);
+    this.lyrics.off('wordsInserted', this._onWordsInserted);
+    this.lyrics.off('wordsRemoved', this._onWordsRemoved);
+    this.lyrics.off('textChanged', this._onTextChanged);
+    this.lyrics.off('linesChanged', this._onTextChanged);
+    this.lyrics.off('lineTimeChanged', this._onLineTimeChanged);
+    this.lyrics.off('lineEndChanged', this._onLineTimeChanged);
+    this.lyrics.off('voiceChanged', this._onVoiceChanged);
+    this.lyrics.off('lineVoiceChanged', this._onLineVoiceChanged);
+    this.lyrics.off('rubyChanged', this._onRubyChanged);
+    this.lyrics.off('lineTracksChanged', this._onLineTracksChanged);
+  }
+  this.lyrics = lyrics;
+  this.selection = null;
+  this._taps = {};
+  if (this.lyrics) {
+    // As words and their timestamps change, update the UI.
+    this.lyrics.on('timeChanged', this._onTimeChanged);
+    this.lyrics.on('endChanged', this._onEndChanged);
+    this.lyrics.on('wordsInserted', this._onWordsInserted);
+    this.lyrics.on('wordsRemoved', this._onWordsRemoved);
+    this.lyrics.on('textChanged', this._onTextChanged);
+    this.lyrics.on('linesChanged', this._onTextChanged);
+    this.lyrics.on('lineTimeChanged', this._onLineTimeChanged);
+    this.lyrics.on('lineEndChanged', this._onLineTimeChanged);
+    this.lyrics.on('voiceChanged', this._onVoiceChanged);
+    this.lyrics.on('lineVoiceChanged', this._onLineVoiceChanged);
+    this.lyrics.on('rubyChanged', this._onRubyChanged);
+    this.lyrics.on('lineTracksChanged', this._onLineTracksChanged);
+    this.update();
+    // Reset the keyboard cursor.
+    this.setKeyboardCursorIndex();
+  }
+};
+/**
+ * Re-render the UI.
+ */
+LyricsBox.prototype.update = function() {
+  var self = this;
+  var container = this.container;
+  var media = this.media;
+  var lyrics = this.lyrics;
+  // Generate a list of words, line by line.
+  this.container.empty();
+  var lines = this.lyrics.getLines();
+  var lineElem = null;
+  for (var index = 0; index<this.lyrics.length; index++) {
+    var word = this.lyrics[index];
+    var nextWord = this.lyrics[index+1];
+    var lineIndex = this.lyrics.getLineOfWord(index);
+    var lastOfLine = index == lines[lineIndex].index + lines[lineIndex].words.length - 1;
+    if (index == lines[lineIndex].index) {
+      lineElem = $('<div class="line">').appendTo(this.container);
+      this._setVoiceForLine(lineElem, lineIndex);
+      // The side column comes first, so that it floats beside the words.
+      lineElem.append(this._createTracks(lineIndex));
+    }
+    var elem = $('<span>');
+    this._setTextForSpan(elem, index);
+    this._setTimeForSpan(elem, index);
+    this._setVoiceForSpan(elem, index);
+    if (word.joined)
+      elem.addClass('joined');
+    // TODO: Can be sped up by using a single handler for all spans.
+    (function(word, index)
+     {
+       // When playing, a left click connects the word with the current
+       // playing position. Use "mousedown" here (instead of click),
+       // which is closer to the time the user actually decided to click.
+       elem.mousedown(function(e) {
+         if (e.which !== 1)
+           return;
+         // Shift+click selects all words from the keyboard cursor.
+         if (e.shiftKey) {
+           self.extendSelection(self.keyboardCursorIndex, index);
+           self.setKeyboardCursorIndex(index);
+           return false;
+         }
+         self.setSelection(null);
+         if (self._assignTime(index))
+           self.setKeyboardCursorIndex(index+1);
+         else
+           // If assign time fails (usually because we're not
+           // playing, set the keyboard cursor the the word that was
+           // clicked, instead of the next word.
+           self.setKeyboardCursorIndex(index);
+       }
+                     );
+       // On right click, start playing from that word's position.
+       elem.on('contextmenu', function(e) {
+         // Set the keyboard cursor here
+         self.setKeyboardCursorIndex(index);
+         // Bail out now if no audio is loaded
+         if (media.readyState == media.HAVE_NOTHING)
+           return true;
+         // Otherwise, go and set the play position
+         var goto = word.time;
+         if (goto == null) {
+           goto = lyrics.getApproximateTime(index);
+         }
+         media.play();
+         media.currentTime = goto - 1.5;
+         // go to shortly before
+         e.preventDefault();
+         return false;
+       }
+              );
+       // Double click to edit the word.
+       elem.dblclick(function() {
+         self.editWord(index);
+         return false;
+       }
+                    );
+     }
+    )(word, index);
+    word.dom = elem;
+    lineElem.append(elem);
+    // Syllables of the same word are rendered without a gap.
+    if (!(nextWord && nextWord.joined) && !lastOfLine)
+      lineElem.append(' ');
+    if (lastOfLine)
+      lineElem.append(this._createLineEnd(lineIndex));
+  }
+};
+/**
+ * Create the mark at the end of the line with the given index, which
+ * shows the times of the line. When playing, a click on it ends the line.
+ */
+LyricsBox.prototype._createLineEnd = function(lineIndex) {
+  var self = this;
+  var elem = $('<i class="line-end">&crarr;</i>');
+  this._setTimeForLineEnd(elem, lineIndex);
+  elem.mousedown(function(e) {
+    if (e.which !== 1 || self.media.readyState == 0 || self.media.paused)
+      return;
+    self.lyrics.setEndOfLine(lineIndex, self._snap(self._tapTime()));
+    return false;
+  }
+                );
+  return elem;
+};
+/**
+ * Show the times of the line with the given index on its end mark.
+ */
+LyricsBox.prototype._setTimeForLineEnd = function(elem, lineIndex) {
+  var line = this.lyrics.getLines()[lineIndex];
+  elem.toggleClass('timed', !!line.end);
+  elem.attr('title', line.time || line.end ?
+            'Line: ' + (line.time ? Lyrics.toTimer(line.time) : '?') +
+            ' – ' + (line.end ? Lyrics.toTimer(line.end) : '?') : '');
+};
+/**
+ * Show the voice of the line with the given index (see
+ * ``Lyrics.setVoiceOfLine``) in its colour, and update its words.
+ */
+LyricsBox.prototype._setVoiceForLine = function(elem, lineIndex) {
+  var line = this.lyrics.getLines()[lineIndex];
+  var voice = Lyrics.VOICES[line.voice];
+  elem.css('border-left-color', voice ? voice.color : '');
+  elem.attr('title', voice ? voice.label : '');
+  var spans = elem.children('span');
+  for (var i=0; i<spans.length; i++)
+    this._setVoiceForSpan(spans.eq(i), line.index + i);
+};
+/**
+ * Underline the word at the given index in the colour of its voice, if it
+ * is not sung by the voice of its line.
+ */
+LyricsBox.prototype._setVoiceForSpan = function(span, index) {
+  var line = this.lyrics.getLines()[this.lyrics.getLineOfWord(index)];
+  var voice = this.lyrics[index].voice != line.voice && Lyrics.VOICES[this.lyrics[index].voice];
+  span.toggleClass('voiced', !!voice);
+  span.css('text-decoration-color', voice ? voice.color : '');
+};
+/**
+ * Return the voice after the given one, in the order of ``Lyrics.VOICES``
+ * (after the last one, none).
+ */
+LyricsBox.prototype._nextVoice = function(voice) {
+  var voices = [null].concat(Object.keys(Lyrics.VOICES));
+  return voices[(voices.indexOf(voice) + 1) % voices.length];
+};
+/**
+ * Show the word at the given index on its span, with its reading above
+ * it. When playing, a click on a mora of the reading (but the first, which
+ * starts with the word) sets its time.
+ */
+LyricsBox.prototype._setTextForSpan = function(span, index) {
+  var self = this;
+  var word = this.lyrics[index];
+  span.text(word.text ? word.text : '-');
+  if (!word.ruby)
+    return;
+  var rt = $('<rt>');
+  $.each(word.ruby, function(mora, item) {
+    var elem = $('<em class="mora">').text(item.text).appendTo(rt);
+    elem.toggleClass('timed', item.time != null);
+    elem.attr('title', item.time != null ? Lyrics.toTimer(item.time) : '');
+    if (mora > 0)
+      elem.mousedown(function(e) {
+        if (e.which === 1 && self._assignMoraTime(index, mora))
+          return false;
+      }
+                    );
+  }
+        );
+  span.empty().append($('<ruby>').text(word.text).append(rt));
+};
+/**
+ * Move the keyboard cursor to the given mora of the reading of the word
+ * at the keyboard cursor, or with 0, back to the word itself.
+ */
+LyricsBox.prototype._setMoraCursor = function(mora) {
+  this._moraCursor = mora;
+  this.container.find('em.mora').removeClass('cursor');
+  if (mora)
+    this.container.find('span').eq(this.keyboardCursorIndex)
+      .find('em.mora').eq(mora).addClass('cursor');
+};
+/**
+ * Time the given mora of the reading of the word at the given index with
+ * the play position, like ``_assignTime``.
+ */
+LyricsBox.prototype._assignMoraTime = function(index, mora) {
+  if (this.media.readyState == 0 || this.media.paused)
+    return;
+  this.lyrics.setTimeOfMora(index, mora, this._snap(this._tapTime()));
+  return true;
+};
+/**
+ * Show the times of the word at the given index on its span.
+ */
+LyricsBox.prototype._setTimeForSpan = function(span, index) {
+  var time = this.lyrics[index].time, end = this.lyrics[index].end;
+  // Show where the word was tapped, if it was snapped to an onset.
+  var tap = this._taps[index];
+  if (tap && tap.snapped != time) {
+    delete this._taps[index];
+    tap = null;
+  }
+  if (time) {
+    span.addClass('timed');
+    span.attr('title', Lyrics.toTimer(time) +
+              (end ? ' – ' + Lyrics.toTimer(end) : '') +
+              (tap ? ' (tapped at ' + Lyrics.toTimer(tap.tapped) + ')' : ''));
+  }
+  else {
+    span.removeClass('timed');
+    span.attr('title', '');
+  }
+};
+/**
+ * Edit the text of the word at the given index in place, or with
+ * ``insert``, type new words to insert before it.
+ *
+ * Return applies the edit (see ``Lyrics.setTextOfWord``: spaces and "|"
+ * split the word, an empty text deletes it), Escape cancels.
+ *
+ * @param index
+ * @param insert
+ */
+LyricsBox.prototype.editWord = function(index, insert) {
+  var self = this;
+  var word = this.lyrics[index];
+  if (!word)
+    return;
+  var span = this.container.find('span').eq(index);
+  var input = $('<input type="text" class="edit">');
+  // The reading is edited along with the text, e.g. "漢字{かんじ}".
+  var text = word.text + (word.ruby ? '{' + Lyrics.formatRuby(word.ruby) + '}' : '');
+  if (insert)
+    span.before(input);
+  else {
+    input.val(text);
+    span.hide().after(input);
+  }
+  var done = false;
+  function finish(apply) {
+    if (done)
+      return;
+    done = true;
+    var value = $.trim(input.val());
+    input.remove();
+    span.show();
+    if (!apply)
+      return;
+    // New words are divided as chosen in the import dialog.
+    if (insert)
+      self.lyrics.insertWords(index, Lyrics.parseWords(value,
+                                                       $('#tokenization').val()));
+    else if (value != text)
+      self.lyrics.setTextOfWord(index, value);
+  }
+  input.on('keydown', function(e) {
+    if (e.keyCode == 13) {  // return
+      finish(true);
+      return false;
+    }
+    if (e.keyCode == 27) {  // escape
+      finish(false);
+      return false;
+    }
+  }
+          );
+  input.on('blur', function() {
+    finish(true);
+  }
+          );
+  input.css('width', Math.max(4, input.val().length + 2) + 'em');
+  input.focus();
+};
+/**
+ * Create the side column of the line with the given index, with the texts
+ * of its tracks. A double click edits one, see ``editTrack``.
+ */
+LyricsBox.prototype._createTracks = function(lineIndex) {
+  var self = this;
+  var tracks = this.lyrics.getLines()[lineIndex].tracks;
+  var elem = $('<aside class="tracks">');
+  $.each(Lyrics.TRACKS, function(track, definition) {
+    $('<small class="track">').text(tracks[track] || '').attr('title', definition.label)
+      .appendTo(elem).dblclick(function() {
+        self.editTrack(lineIndex, track);
+        return false;
+      }
+                              );
+  }
+        );
+  return elem;
+};
+/**
+ * Let the user edit the text of the given track (see ``Lyrics.TRACKS``)
+ * of the line with the given index, in the side column, which is shown
+ * if it is not (emitting "showTracksChanged").
+ *
+ * Return applies the edit (an empty text removes it), Tab moves on to the
+ * next track of the line (Shift+Tab back), Escape cancels.
+ *
+ * @param lineIndex
+ * @param track
+ */
+LyricsBox.prototype.editTrack = function(lineIndex, track) {
+  var self = this;
+  var line = this.lyrics.getLines()[lineIndex];
+  if (!line)
+    return;
+  if (!this.showTracks) {
+    this.setShowTracks(true);
+    this.emit('showTracksChanged', true);
+  }
+  var tracks = Object.keys(Lyrics.TRACKS);
+  var elem = this.container.find('aside.tracks').eq(lineIndex)
+    .find('small.track').eq(tracks.indexOf(track));
+  var input = $('<input type="text" class="edit">').val(line.tracks[track] || '');
+  elem.hide().after(input);
+  var done = false;
+  function finish(apply) {
+    if (done)
+      return;
+    done = true;
+    var value = input.val();
+    input.remove();
+    elem.show();
+    if (apply)
+      self.lyrics.setTrackOfLine(lineIndex, track, value);
+  }
+  input.on('keydown', function(e) {
+    if (e.keyCode == 13) {  // return
+      finish(true);
+      return false;
+    }
+    if (e.keyCode == 27) {  // escape
+      finish(false);
+      return false;
+    }
+    if (e.keyCode == 9) {  // tab
+      finish(true);
+      var next = tracks[tracks.indexOf(track) + (e.shiftKey ? -1 : 1)];
+      if (next)
+        self.editTrack(lineIndex, next);
+      return false;
+    }
+  }
+          );
+  input.on('blur', function() {
+    finish(true);
+  }
+          );
+  input.focus();
+};
+/**
+ * Set a time value for the given index, if possible. The current time is
+ * corrected by the latency (see ``setLatency``), and snapped to an onset
+ * if enabled (see ``setSnapWindow``).
+ *
+ * Internal usage, does some validation.
+ */
+LyricsBox.prototype._assignTime = function(index) {
+  if (this.media.readyState == 0 || this.media.paused)
+    return;
+  if (index >= this.lyrics.length)
+    return;
+  var tapped = this._tapTime();
+  var time = this._snap(tapped);
+  if (time != tapped)
+    this._taps[index] = {tapped: tapped, snapped: time};
+  this.lyrics.setTimeOfWord(index, time);
+  if (time != tapped)
+    this.emit('snapped', index, tapped, time);
+  return true;
+};
+/**
+ * Select the words ``from`` to ``to`` (inclusive, in any order). Pass
+ * null to clear the selection.
+ *
+ * @param from
+ * @param to
+ */
+LyricsBox.prototype.setSelection = function(from, to) {
+  var spans = this.container.find('span');
+  spans.removeClass('selected');
+  if (from == null) {
+    this.selection = null;
+    return;
+  }
+  this.selection = {
+    anchor: from,
+    from: Math.min(from, to),
+    to: Math.max(from, to)
+  };
+  spans.slice(this.selection.from, this.selection.to+1).addClass('selected');
+};
+/**
+ * Extend the selection (or start a new one at ``from``) up to ``to``.
+ */
+LyricsBox.prototype.extendSelection = function(from, to) {
+  this.setSelection(this.selection ? this.selection.anchor : from, to);
+};
+/**
+ * Set a time value for the given index, if possible.
+ *
+ * Internal usage, does some validation.
+ */
+LyricsBox.prototype.setKeyboardCursorIndex = function(index) {
+  // Validate the incoming value. If no index is given, reset to 0.
+  // The key behind this construct is that if index == undefined, the
+  // 'has the value changed check' below is not run.
+  if (index == undefined)
+    index = 0;
+  else {
+    index = Math.max(0, Math.min(index, this.lyrics.length-1));
+    if (index == this.keyboardCursorIndex)
+      return;
+  }
+  this._setMoraCursor(0);
+  // Clear the old cursor
+  var spans = this.container.find('span');
+  if (this.keyboardCursorIndex != undefined)
+    spans.eq(this.keyboardCursorIndex).removeClass('cursor');
+  this.keyboardCursorIndex = index;
+  // Set the new cursor
+  spans.eq(this.keyboardCursorIndex).addClass('cursor');
+};
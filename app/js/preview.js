@@ -0,0 +1,159 @@
+/**
+ * Full-screen karaoke preview: shows the current and the next line in
+ * large type, and fills every word (or syllable) from left to right while
+ * it is sung, like a karaoke player would.
+ *
+ * @param selector DOM element to use as a container.
+ * @param media HTML5 audio/video element to which the lyrics belong.
+ * @constructor
+ */
+KaraokePreview = function(selector, media) {
+  this.container = $(selector);
+  this.media = media;
+  this.lyrics = null;
+  var self = this;
+  this._invalidate = function() {
+    self._lines = null;
+    self._shownIndex = null;
+  };
+  this.container.find('.close').click(function() {
+    self.hide();
+  }
+                                     );
+  // Click anywhere else to play/pause.
+  this.container.click(function(e) {
+    if ($(e.target).is('.close'))
+      return;
+    if (media.paused)
+      media.play();
+    else
+      media.pause();
+  }
+                      );
+  $(document).on('keydown', function(e) {
+    if (e.keyCode == 27 && self.isVisible()) {  // escape
+      self.hide();
+      return false;
+    }
+  }
+                );
+  // Leaving full screen mode (e.g. by the browser's own means) ends the
+  // preview, too.
+  $(document).on('fullscreenchange webkitfullscreenchange', function() {
+    if (!(document.fullscreenElement || document.webkitFullscreenElement))
+      self.hide();
+  }
+                );
+};
+/**
+ * Connect with a new lyrics object.
+ *
+ * @param lyrics
+ */
+KaraokePreview.prototype.setLyrics = function(lyrics) {
+  if (this.lyrics)
+    this.lyrics.off('change', this._invalidate);
+  this.lyrics = lyrics;
+  if (lyrics)
+    lyrics.on('change', this._invalidate);
+  this._invalidate();
+};
+KaraokePreview.prototype.isVisible = function() {
+  return this.container.is(':visible');
+};
+/**
+ * Open the preview, in full screen if the browser allows.
+ */
+KaraokePreview.prototype.show = function() {
+  if (!this.lyrics)
+    return;
+  var self = this;
+  var element = this.container.show()[0];
+  this._invalidate();
+  if (element.requestFullscreen)
+    element.requestFullscreen();
+  else if (element.webkitRequestFullscreen)
+    element.webkitRequestFullscreen();
+  function step() {
+    self._render();
+    self._frame = window.requestAnimationFrame(step);
+  }
+  window.cancelAnimationFrame(this._frame);
+  step();
+};
+/**
+ * Close the preview.
+ */
+KaraokePreview.prototype.hide = function() {
+  if (!this.isVisible())
+    return;
+  window.cancelAnimationFrame(this._frame);
+  this.container.hide();
+  if (document.fullscreenElement && document.exitFullscreen)
+    document.exitFullscreen();
+  else if (document.webkitFullscreenElement && document.webkitExitFullscreen)
+    document.webkitExitFullscreen();
+};
+/**
+ * Update the display for the current play position. Called every frame.
+ */
+KaraokePreview.prototype._render = function() {
+  var time = this.media.currentTime;
+  if (!this._lines)
+    this._lines = this._computeLines();
+  var lines = this._lines;
+  // The current line is the last one which has started.
+  var current = -1;
+  while (current+1 < lines.length && lines[current+1].start <= time)
+    current++;
+  if (current != this._shownIndex) {
+    this._shownIndex = current;
+    this._showLine(this.container.find('.current'), lines[current]);
+    this._showLine(this.container.find('.next'), lines[current+1]);
+  }
+  this.container.find('.lines span').each(function() {
+    var span = $(this);
+    var start = span.data('start'), end = span.data('end');
+    var progress = Math.max(0, Math.min(1, (time - start) / (end - start)));
+    var percent = (progress * 100).toFixed(1) + '%';
+    span.css('background-image', 'linear-gradient(to right, ' +
+             '#ffcc00 ' + percent + ', #ffffff ' + percent + ')');
+  });
+};
+KaraokePreview.prototype._showLine = function(element, line) {
+  element.empty();
+  if (!line)
+    return;
+  $.each(line.words, function(i, word) {
+    if (i > 0 && !word.joined)
+      element.append(' ');
+    element.append($('<span>').text(word.text)
+                   .data('start', word.start).data('end', word.end));
+  });
+};
+/**
+ * Determine the start and end of every word (approximated, if not timed),
+ * grouped by lines.
+ */
+KaraokePreview.prototype._computeLines = function() {
+  var lyrics = this.lyrics;
+  function approximate(index) {
+    var time = lyrics.getApproximateTime(index);
+    return isFinite(time) ? time : 0;
+  }
+  return $.map(lyrics.getLines(), function(line) {
+    var words = $.map(line.words, function(word, i) {
+      var index = line.index + i;
+      var start = word.time || approximate(index);
+      var end = lyrics.getEndOfWord(index) || approximate(index+1);
+      return {
+        text: word.text,
+        joined: word.joined,
+        start: start,
+        // Fill words of unknown length right away.
+        end: end > start ? end : start + 0.001
+      };
+    });
+    return {start: words[0].start, words: words};
+  });
+};
@@ -0,0 +1,181 @@
+/**
+ * Providers load lyrics and media from a catalogue, by ID.
+ *
+ * Every provider implements the same interface:
+ *
+ *   getLyrics(id, success, error)
+ *     Calls ``success(text, format)``, where ``text`` is the lyrics and
+ *     ``format`` is either "lrc" or "text" (which importer to use).
+ *
+ *   getMedia(id, success, error)
+ *     Calls ``success(source, filename)``, where ``source`` is either an
+ *     url or a Blob that can be given to ``ELRCMaker.loadMedia``.
+ *
+ * ``error`` is called with a human readable message instead if the
+ * request fails or times out. Exactly one of the two is called.
+ *
+ * Providers are registered by type in ``Providers.types``, and are created
+ * from a plain settings object via ``Providers.create``.
+ */
+Providers = {
+  types: {},
+  /**
+   * The settings used if the user has not configured anything.
+   */
+  defaults: {
+    type: 'http',
+    lyricsUrl: 'http://schindlershadow.com/games/Karaoke/tools/getLyrics.php?q={id}',
+    mediaUrl: 'http://schindlershadow.com/games/Karaoke/tools/getFromDB.php?select=file&id={id}',
+    format: 'lrc',
+    timeout: 15000
+  }
+};
+/**
+ * Create a provider from the given settings, falling back to the defaults
+ * for every setting not given.
+ *
+ * @param settings An object with at least a ``type``.
+ */
+Providers.create = function(settings) {
+  settings = $.extend({}, Providers.defaults, settings);
+  var Provider = Providers.types[settings.type];
+  assert(Provider, 'Unknown provider type: ' + settings.type);
+  return new Provider(settings);
+};
+/**
+ * Loads lyrics and media from a server via HTTP GET.
+ *
+ * Settings:
+ *   lyricsUrl  Url template, "{id}" is replaced by the url-encoded ID.
+ *              The response body is the lyrics text.
+ *   mediaUrl   Url template as above. The response body is the url of the
+ *              media file (not the media file itself).
+ *   format     The format of the lyrics, "lrc" or "text".
+ *   timeout    In milliseconds.
+ *
+ * Any status other than 200, or an empty response, is treated as an error.
+ *
+ * @param settings
+ * @constructor
+ */
+HttpProvider = function(settings) {
+  this.settings = settings;
+};
+Providers.types.http = HttpProvider;
+HttpProvider.prototype.getLyrics = function(id, success, error) {
+  var format = this.settings.format;
+  this._get(this.settings.lyricsUrl, id, function(text) {
+    success(text, format);
+  }, error);
+};
+HttpProvider.prototype.getMedia = function(id, success, error) {
+  this._get(this.settings.mediaUrl, id, function(text) {
+    var url = $.trim(text);
+    success(url, url);
+  }, error);
+};
+HttpProvider.prototype._get = function(template, id, success, error) {
+  var url = template.replace(/\{id\}/g, encodeURIComponent(id));
+  var xhr = new XMLHttpRequest();
+  xhr.open('GET', url, true);
+  xhr.timeout = this.settings.timeout;
+  xhr.onload = function() {
+    if (xhr.status != 200)
+      error('Request to ' + url + ' failed: HTTP status ' + xhr.status);
+    else if (!$.trim(xhr.responseText))
+      error('Nothing found for ID ' + id + ' at ' + url);
+    else
+      success(xhr.responseText);
+  };
+  xhr.onerror = function() {
+    error('Request to ' + url + ' failed. Is the server reachable, and ' +
+          'does it allow cross-origin requests?');
+  };
+  xhr.ontimeout = function() {
+    error('Request to ' + url + ' timed out after ' +
+          (xhr.timeout / 1000) + ' seconds');
+  };
+  xhr.send();
+};
+/**
+ * A stand-in for a catalogue server, serving entries from memory. Useful
+ * to try out the remote import without a server, and for development.
+ *
+ * Settings:
+ *   catalogue  Maps IDs to ``{lyrics, format, duration}``. Defaults to
+ *              ``MockProvider.catalogue``. The media is generated: a
+ *              metronome click track of the given duration, in seconds.
+ *   delay      Simulated latency in milliseconds.
+ *
+ * @param settings
+ * @constructor
+ */
+MockProvider = function(settings) {
+  this.catalogue = settings.catalogue || MockProvider.catalogue;
+  this.delay = settings.delay || 0;
+};
+Providers.types.mock = MockProvider;
+MockProvider.catalogue = {
+  '1': {
+    lyrics: 'Twin|kle twin|kle lit|tle star\n' +
+            'How I won|der what you are',
+    format: 'text',
+    duration: 20
+  }
+};
+MockProvider.prototype.getLyrics = function(id, success, error) {
+  this._lookup(id, function(entry) {
+    success(entry.lyrics, entry.format || 'text');
+  }, error);
+};
+MockProvider.prototype.getMedia = function(id, success, error) {
+  this._lookup(id, function(entry) {
+    success(MockProvider.makeClickTrack(entry.duration || 30),
+            'mock-' + id + '.wav');
+  }, error);
+};
+MockProvider.prototype._lookup = function(id, success, error) {
+  var entry = this.catalogue[id];
+  setTimeout(function() {
+    if (entry)
+      success(entry);
+    else
+      error('Nothing found for ID ' + id + ' in the mock catalogue');
+  }, this.delay);
+};
+/**
+ * Generate a WAV file with a click every half second.
+ *
+ * @param duration In seconds.
+ * @return {Blob}
+ */
+MockProvider.makeClickTrack = function(duration) {
+  var sampleRate = 8000;
+  var count = Math.floor(duration * sampleRate);
+  var view = new DataView(new ArrayBuffer(44 + count * 2));
+  function writeString(offset, string) {
+    for (var i=0; i<string.length; i++)
+      view.setUint8(offset + i, string.charCodeAt(i));
+  }
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + count * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);   // PCM
+  view.setUint16(22, 1, true);   // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, count * 2, true);
+  var clickLength = sampleRate / 50;
+  for (var i=0; i<count; i++) {
+    var sinceClick = i % (sampleRate / 2);
+    var value = sinceClick < clickLength ?
+      Math.sin(2 * Math.PI * 1000 * i / sampleRate) * (1 - sinceClick / clickLength) : 0;
+    view.setInt16(44 + i * 2, value * 0x5fff, true);
+  }
+  return new Blob([view], {type: 'audio/wav'});
+};
@@ -3,7 +3,9 @@
  *
  * For this, it needs access to all the controllable parts of the app.
  *
- * In the future, those could be made customizable.
+ * Keys are bound to actions (see ``Shortcuts.actions``), which the user
+ * can rebind. The actions that work on the lyrics are implemented by
+ * ``LyricsBox``.
  *
  * @constructor
  */
@@ -11,42 +13,56 @@ Shortcuts = function(app) {
     var media = app.media;
     $(document).on('keydown', function(e) {
         // Do not run any shortcuts if a modal window is active.
-        if (Shortcuts.modalDialogVisible())
+        if (Shortcuts.modalDialogVisible() || Shortcuts.isTyping(e))
             return;
 
-        var key = e.keyCode;
-
-        if (key == 38) { // up
-            app.setPlaybackRate('+0.1');
-            return false;
-        }
-        else if (key == 40) {  // down
-            app.setPlaybackRate('-0.1');
-            return false;
-        }
-        else if (key == 32 || key == 13) { // space or return
-            if (media.paused) {
-                media.play();
+        switch (Shortcuts.getAction(e)) {
+            case 'undo':
+                app.undo();
+                return false;
+            case 'redo':
+                app.redo();
                 return false;
-            }
-            else if (key == 13 || e.ctrlKey) {  // ctrl+space or return
+            case 'faster':
+                app.setPlaybackRate('+0.1');
+                return false;
+            case 'slower':
+                app.setPlaybackRate('-0.1');
+                return false;
+            case 'tap':
+                // Once playing, the LyricsBox sets the time instead.
+                if (media.paused) {
+                    media.play();
+                    return false;
+                }
+                break;
+            case 'play':
+                if (media.paused)
+                    media.play();
+                else
+                    media.pause();
+                return false;
+            case 'pause':
                 media.pause();
                 return false;
-            }
-        }
-        else if (
-                (e.ctrlKey && key == 37) ||     // left
-                key == '65' ||                  // a
-                key == 100) {                   // numpad 4
-            media.currentTime -= 1;
-            return false;
-        }
-        else if (
-                (e.ctrlKey && key == 39) ||     // right
-                key == 68 ||                    // d
-                key == 102) {                   // numpad 6
-            media.currentTime += 1;
-            return false;
+            case 'back':
+                media.currentTime -= 1;
+                return false;
+            case 'forward':
+                media.currentTime += 1;
+                return false;
+            case 'loopStart':
+                app.loop.setStart(media.currentTime);
+                return false;
+            case 'loopEnd':
+                app.loop.setEnd(media.currentTime);
+                return false;
+            case 'loopLine':
+                app.loopCurrentLine();
+                return false;
+            case 'clearLoop':
+                app.loop.clear();
+                return false;
         }
     });
 };
@@ -54,3 +70,169 @@ Shortcuts = function(app) {
 Shortcuts.modalDialogVisible = function() {
     return ($('.modal-backdrop').is(':visible'));
 };
+
+/**
+ * Whether the key was pressed in a form field (e.g. one in the navigation
+ * bar), which should get the key instead.
+ */
+Shortcuts.isTyping = function(e) {
+    return $(e.target).is('input, select, textarea');
+};
+
+/**
+ * The actions that can be bound to keys, in the order they are shown to
+ * the user. ``keys`` are the default bindings, as given by
+ * ``Shortcuts.keyName``.
+ */
+Shortcuts.actions = {
+    tap: {label: 'Set the time of the word at the cursor (start to play if stopped)',
+          keys: ['Space']},
+    clearTime: {label: 'Remove the time of the word at the cursor', keys: ['Delete']},
+    endLine: {label: 'End the line of the word before the cursor', keys: ['Shift+Space']},
+    editWord: {label: 'Edit the word at the cursor', keys: ['F2']},
+    insertWord: {label: 'Insert words before the cursor', keys: ['Insert']},
+    deleteWord: {label: 'Delete the word at the cursor', keys: ['Shift+Delete']},
+    mergeWords: {label: 'Merge the word at the cursor with the next one', keys: ['M']},
+    lineBreak: {label: 'Start a new line at the cursor (or join with the previous line at the start of a line)',
+                keys: ['Shift+Enter']},
+    lineVoice: {label: 'Change the voice of the line at the cursor (for duets)', keys: ['V']},
+    wordVoice: {label: 'Change the voice of the selected words, or the word at the cursor',
+                keys: ['Shift+V']},
+    editTrack: {label: 'Edit the translation of the line at the cursor (Tab for the romanization)',
+                keys: ['T']},
+    previousWord: {label: 'Move the cursor back', keys: ['ArrowLeft']},
+    nextWord: {label: 'Move the cursor forward', keys: ['ArrowRight']},
+    selectPrevious: {label: 'Select backwards', keys: ['Shift+ArrowLeft']},
+    selectNext: {label: 'Select forwards', keys: ['Shift+ArrowRight']},
+    play: {label: 'Start / stop to play', keys: ['Enter']},
+    pause: {label: 'Stop to play', keys: ['Ctrl+Space']},
+    back: {label: 'Skip play position backward',
+           keys: ['Ctrl+ArrowLeft', 'A', 'Numpad4']},
+    forward: {label: 'Skip play position forward',
+              keys: ['Ctrl+ArrowRight', 'D', 'Numpad6']},
+    loopStart: {label: 'Set the start of the loop (A)', keys: ['[']},
+    loopEnd: {label: 'Set the end of the loop (B)', keys: [']']},
+    loopLine: {label: 'Loop the line at the cursor', keys: ['L']},
+    clearLoop: {label: 'Stop looping', keys: ['Shift+L']},
+    faster: {label: 'Increase the play speed', keys: ['ArrowUp']},
+    slower: {label: 'Decrease the play speed', keys: ['ArrowDown']},
+    undo: {label: 'Undo', keys: ['Ctrl+Z']},
+    redo: {label: 'Redo', keys: ['Ctrl+Shift+Z', 'Ctrl+Y']}
+};
+
+/**
+ * Names for the keys of browsers which do not support ``KeyboardEvent.key``
+ * (or use old names).
+ */
+Shortcuts.KEY_NAMES = {
+    8: 'Backspace', 9: 'Tab', 13: 'Enter', 27: 'Escape', 32: 'Space',
+    33: 'PageUp', 34: 'PageDown', 35: 'End', 36: 'Home',
+    37: 'ArrowLeft', 38: 'ArrowUp', 39: 'ArrowRight', 40: 'ArrowDown',
+    45: 'Insert', 46: 'Delete',
+    16: 'Shift', 17: 'Control', 18: 'Alt', 91: 'Meta'
+};
+
+/**
+ * Return the name of the key (with modifiers) pressed in the given event,
+ * e.g. "Ctrl+Shift+Z", "Numpad4" or "F13".
+ *
+ * Letters and digits are named after the key's position on a US keyboard
+ * (``KeyboardEvent.code``), so that the defaults work with other layouts,
+ * e.g. Cyrillic ones. Keys without a name (which some foot pedals send)
+ * are named after their key code, e.g. "#183".
+ *
+ * @param e A keydown event.
+ * @return {String}
+ */
+Shortcuts.keyName = function(e) {
+    var key = e.key;
+    if (e.code && /^Numpad/.test(e.code))
+        key = e.code;
+    else if (e.code && /^(Key[A-Z]|Digit[0-9])$/.test(e.code))
+        key = e.code.slice(-1);
+    else if (Shortcuts.KEY_NAMES[e.keyCode])
+        key = Shortcuts.KEY_NAMES[e.keyCode];
+    else if (key && key != 'Unidentified')
+        key = key.length == 1 ? key.toUpperCase() : key;
+    else if ((e.keyCode >= 48 && e.keyCode <= 57) || (e.keyCode >= 65 && e.keyCode <= 90))
+        key = String.fromCharCode(e.keyCode);
+    else
+        key = '#' + e.keyCode;
+    if (Shortcuts.isModifier(key))
+        return key;
+    return (e.ctrlKey ? 'Ctrl+' : '') + (e.altKey ? 'Alt+' : '') +
+        (e.metaKey ? 'Meta+' : '') + (e.shiftKey ? 'Shift+' : '') + key;
+};
+
+/**
+ * Whether the key name is one of the modifier keys on its own, which
+ * cannot be bound.
+ */
+Shortcuts.isModifier = function(key) {
+    return ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph'].indexOf(key) != -1;
+};
+
+/**
+ * Return the current bindings, an object mapping the name of each action
+ * to a list of keys.
+ */
+Shortcuts.getBindings = function() {
+    var bindings = {}, stored = null;
+    try {
+        stored = JSON.parse(localStorage['shortcuts']);
+    }
+    catch (e) {
+    }
+    $.each(Shortcuts.actions, function(action, definition) {
+        bindings[action] = (stored && stored[action] || definition.keys).slice();
+    });
+    return bindings;
+};
+
+/**
+ * Change the bindings (see ``getBindings``). These are remembered across
+ * sessions. Pass ``null`` to restore the defaults.
+ *
+ * @param bindings
+ */
+Shortcuts.setBindings = function(bindings) {
+    if (bindings)
+        localStorage['shortcuts'] = JSON.stringify(bindings);
+    else
+        delete localStorage['shortcuts'];
+    Shortcuts._keymap = null;
+};
+
+/**
+ * Return the action bound to the given key, or null. If ``except`` is
+ * given, bindings of that action are ignored.
+ *
+ * @param key A key name, see ``keyName``.
+ * @param except Optional.
+ */
+Shortcuts.findAction = function(key, except) {
+    var bindings = Shortcuts.getBindings();
+    for (var action in bindings) {
+        if (action != except && bindings[action].indexOf(key) != -1)
+            return action;
+    }
+    return null;
+};
+
+/**
+ * Return the action bound to the key pressed in the given event, or null.
+ *
+ * @param e A keydown event.
+ */
+Shortcuts.getAction = function(e) {
+    if (!Shortcuts._keymap) {
+        Shortcuts._keymap = {};
+        $.each(Shortcuts.getBindings(), function(action, keys) {
+            $.each(keys, function(i, key) {
+                Shortcuts._keymap[key] = action;
+            });
+        });
+    }
+    return Shortcuts._keymap[Shortcuts.keyName(e)] || null;
+};
+Shortcuts._keymap = null;
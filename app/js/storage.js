@@ -0,0 +1,136 @@
+/**
+ * Persists the current session (lyrics, media and its filename) in
+ * IndexedDB, so that it survives a reload or crash.
+ *
+ * localStorage cannot be used for this, since writing large data urls
+ * there caused Chrome to hang for minutes. IndexedDB can store the media
+ * as a Blob directly, and does so asynchronously.
+ *
+ * If IndexedDB is not available, all operations silently do nothing. If
+ * it cannot be opened, "error" is emitted (once) with a message. So it is
+ * if saving fails, once until saving succeeds again.
+ *
+ * @param name Name of the database to use.
+ * @constructor
+ */
+SessionStore = function(name) {
+  EventEmitter.apply(this);
+  this.name = name || 'elrc-maker';
+  this._db = null;
+  this._failed = false;
+  this._saveFailed = false;
+};
+$.extend(SessionStore.prototype, EventEmitter.extend());
+SessionStore.STORE = 'session';
+/**
+ * Open the database, and pass it to ``callback``. If it cannot be opened,
+ * ``unavailable`` is called instead (if given).
+ *
+ * Internal usage.
+ */
+SessionStore.prototype._withDB = function(callback, unavailable) {
+  var self = this;
+  unavailable = unavailable || function() {};
+  if (this._db)
+    return callback(this._db);
+  if (!window.indexedDB || this._failed)
+    return unavailable();
+  function failed(error) {
+    self._failed = true;
+    self.emit('error', 'Autosave is not available: ' + error);
+    unavailable();
+  }
+  var request;
+  try {
+    request = window.indexedDB.open(this.name, 1);
+  }
+  catch (e) {
+    // Some browsers refuse access for file:// urls.
+    return failed(e);
+  }
+  request.onupgradeneeded = function() {
+    request.result.createObjectStore(SessionStore.STORE);
+  };
+  request.onsuccess = function() {
+    self._db = request.result;
+    callback(self._db);
+  };
+  request.onerror = function() {
+    failed(request.error);
+  };
+};
+/**
+ * Store the given values (a map of key => value). Existing keys not
+ * mentioned are kept.
+ *
+ * @param values
+ */
+SessionStore.prototype.save = function(values) {
+  var self = this;
+  function failed(error) {
+    // Saving happens on every change, so only the first failure is shown.
+    if (!self._saveFailed)
+      self.emit('error', 'Autosave failed: ' + error);
+    self._saveFailed = true;
+  }
+  this._withDB(function(db) {
+    var transaction;
+    try {
+      transaction = db.transaction(SessionStore.STORE, 'readwrite');
+      transaction.oncomplete = function() {
+        self._saveFailed = false;
+      };
+      // The target is the failed request, or the transaction itself.
+      transaction.onerror = transaction.onabort = function(event) {
+        failed(event.target.error);
+      };
+      var store = transaction.objectStore(SessionStore.STORE);
+      for (var key in values)
+        store.put(values[key], key);
+    }
+    catch (e) {
+      // E.g. a value which cannot be stored; store none of them.
+      failed(e);
+      if (transaction)
+        transaction.abort();
+    }
+  });
+};
+/**
+ * Read the stored session.
+ *
+ * @param callback Called with a map of all stored keys and values, which
+ *   is empty if nothing has been stored (or IndexedDB is not available).
+ */
+SessionStore.prototype.load = function(callback) {
+  this._withDB(function(db) {
+    var result = {};
+    var store = db.transaction(SessionStore.STORE, 'readonly')
+      .objectStore(SessionStore.STORE);
+    var request = store.openCursor();
+    request.onsuccess = function() {
+      var cursor = request.result;
+      if (cursor) {
+        result[cursor.key] = cursor.value;
+        cursor.continue();
+      }
+      else
+        callback(result);
+    };
+    request.onerror = function() {
+      callback({});
+    };
+  }, function() {
+    // Without a database, there is nothing to restore.
+    callback({});
+  });
+};
+/**
+ * Remove everything stored.
+ */
+SessionStore.prototype.clear = function() {
+  this._withDB(function(db) {
+    db.transaction(SessionStore.STORE, 'readwrite')
+      .objectStore(SessionStore.STORE).clear();
+  });
+};
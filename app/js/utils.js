@@ -23,3 +23,11 @@ function cleanText(text) {
     var dom = jQuery('<div>'+text+'</div>');
     return dom.not('script, style').text();
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AssertException: AssertException,
+        assert: assert,
+        cleanText: cleanText
+    };
+}
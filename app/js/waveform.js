@@ -0,0 +1,469 @@
+/**
+ * Displays a scrolling waveform (and optionally a spectrogram) of the
+ * loaded media, synced to the playback position.
+ *
+ * The media is decoded separately using the Web Audio API. The timestamps
+ * of the lyrics are shown as markers; clicking on the display seeks.
+ *
+ * Emits "loaded" once the audio has been decoded and analysed; at this
+ * point, ``audio`` holds the mono ``samples``, the ``sampleRate`` and the
+ * ``duration``.
+ *
+ * Onsets (the starts of notes and syllables) are detected on request, see
+ * ``detectOnsets``, and shown as small ticks at the bottom.
+ *
+ * @param selector A canvas element to draw into.
+ * @param media HTML5 audio/video element which is being played.
+ * @constructor
+ */
+Waveform = function(selector, media) {
+  EventEmitter.apply(this);
+  this.canvas = $(selector)[0];
+  this.media = media;
+  // How many seconds fit the width of the display.
+  this.secondsVisible = 10;
+  // How many analysis columns (peaks, spectra) are computed per second.
+  this.resolution = 100;
+  this.showSpectrogram = false;
+  this.audio = null;
+  this.onsets = null;
+  this.lyrics = null;
+  this.loop = null;
+  var self = this;
+  this._redraw = function() {
+    self.draw();
+  };
+  // Click to seek.
+  $(this.canvas).on('mousedown', function(e) {
+    if (!self.audio || media.readyState == media.HAVE_NOTHING)
+      return;
+    var x = e.pageX - $(self.canvas).offset().left;
+    media.currentTime = Math.max(0, self._startTime() +
+      x / self.canvas.width * self.secondsVisible);
+    return false;
+  }
+                        );
+  // While playing, redraw with every frame, otherwise only when needed.
+  media.addEventListener('play', function() {
+    function step() {
+      self.draw();
+      if (!media.paused)
+        self._frame = window.requestAnimationFrame(step);
+    }
+    window.cancelAnimationFrame(self._frame);
+    step();
+  }
+                        );
+  media.addEventListener('seeked', this._redraw);
+  media.addEventListener('pause', this._redraw);
+  $(window).on('resize', this._redraw);
+};
+$.extend(Waveform.prototype, EventEmitter.extend());
+/**
+ * Decode and display the given media.
+ *
+ * @param source Either an url, or a Blob.
+ */
+Waveform.prototype.load = function(source) {
+  var self = this;
+  this.audio = null;
+  this.onsets = null;
+  this._onsetCallbacks = null;
+  this._peaks = null;
+  this._spectra = [];
+  $(this.canvas).hide();
+  var AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext)
+    return;
+  // Ignore the results of a previous load still in progress.
+  var loadId = this._loadId = (this._loadId || 0) + 1;
+  function failed(message) {
+    if (loadId == self._loadId)
+      self.emit('error', 'Cannot display the waveform: ' + message + '.');
+  }
+  Waveform.readArrayBuffer(source, function(buffer) {
+    if (loadId != self._loadId)
+      return;
+    self._context = self._context || new AudioContext();
+    self._context.decodeAudioData(buffer, function(decoded) {
+      if (loadId != self._loadId)
+        return;
+      self.audio = {
+        samples: Waveform.mixDown(decoded),
+        sampleRate: decoded.sampleRate,
+        duration: decoded.duration
+      };
+      self._peaks = self._computePeaks();
+      $(self.canvas).show();
+      self.draw();
+      self.emit('loaded', self.audio);
+    }, function() {
+      failed('unable to decode');
+    });
+  }, failed);
+};
+/**
+ * Detect the onsets in the loaded audio, using the spectral flux (the sum
+ * of the increases in every frequency band from one analysis column to
+ * the next).
+ *
+ * Runs in small steps so the UI stays responsive, and calls
+ * ``success(onsets)`` with the sorted list of times (in seconds) once
+ * done. The result is kept in ``onsets``; repeated calls do not start
+ * over. Nothing is called if the audio is replaced in the meantime.
+ *
+ * @param success
+ */
+Waveform.prototype.detectOnsets = function(success) {
+  if (!this.audio)
+    return;
+  if (this.onsets)
+    return success(this.onsets);
+  if (this._onsetCallbacks)
+    return this._onsetCallbacks.push(success);
+  this._onsetCallbacks = [success];
+  var self = this;
+  var audio = this.audio;
+  var count = Math.ceil(audio.duration * this.resolution);
+  var flux = new Float32Array(count);
+  var column = 1;
+  function step() {
+    if (self.audio !== audio)
+      return;
+    var end = Math.min(count, column + 500);
+    for (; column<end; column++) {
+      var previous = self._getSpectrum(column-1), current = self._getSpectrum(column);
+      var sum = 0;
+      for (var bin=0; bin<current.length; bin++)
+        if (current[bin] > previous[bin])
+          sum += current[bin] - previous[bin];
+      flux[column] = sum;
+      // The spectra are not needed again unless the spectrogram is shown.
+      if (!self.showSpectrogram)
+        delete self._spectra[column-1];
+    }
+    if (column < count)
+      return setTimeout(step, 0);
+    self.onsets = Waveform.pickPeaks(flux, self.resolution);
+    var callbacks = self._onsetCallbacks;
+    self._onsetCallbacks = null;
+    self.draw();
+    $.each(callbacks, function(i, callback) {
+      callback(self.onsets);
+    });
+  }
+  setTimeout(step, 0);
+};
+/**
+ * Connect with a new lyrics object, whose timestamps will be displayed.
+ *
+ * @param lyrics
+ */
+Waveform.prototype.setLyrics = function(lyrics) {
+  if (this.lyrics)
+    this.lyrics.off('change', this._redraw);
+  this.lyrics = lyrics;
+  if (lyrics)
+    lyrics.on('change', this._redraw);
+  this.draw();
+};
+/**
+ * Highlight the section which is being looped (see ``PlaybackLoop``).
+ * Pass null to remove the highlight.
+ *
+ * @param start
+ * @param end
+ */
+Waveform.prototype.setLoop = function(start, end) {
+  this.loop = start != null || end != null ? {start: start, end: end} : null;
+  this.draw();
+};
+/**
+ * Switch the spectrogram display on or off.
+ *
+ * @param on_or_off
+ */
+Waveform.prototype.setSpectrogram = function(on_or_off) {
+  this.showSpectrogram = on_or_off;
+  this.draw();
+};
+/**
+ * The time shown at the left edge of the display. The playhead is kept
+ * at one third of the width.
+ */
+Waveform.prototype._startTime = function() {
+  return this.media.currentTime - this.secondsVisible / 3;
+};
+/**
+ * Render the current state.
+ */
+Waveform.prototype.draw = function() {
+  if (!this.audio)
+    return;
+  var canvas = this.canvas;
+  // Match the canvas resolution to its size on screen.
+  if (canvas.width != canvas.clientWidth)
+    canvas.width = canvas.clientWidth;
+  var width = canvas.width, height = canvas.height;
+  var ctx = canvas.getContext('2d');
+  var startTime = this._startTime();
+  var pixelsPerSecond = width / this.secondsVisible;
+  var columnsPerPixel = this.resolution / pixelsPerSecond;
+  ctx.clearRect(0, 0, width, height);
+  if (this.showSpectrogram)
+    this._drawSpectrogram(ctx, startTime, pixelsPerSecond);
+  // The waveform itself: the min/max of all columns within each pixel.
+  var peaks = this._peaks;
+  ctx.fillStyle = this.showSpectrogram ? 'rgba(255,255,255,0.5)' : '#5bc0de';
+  for (var x=0; x<width; x++) {
+    var from = Math.floor((startTime + x / pixelsPerSecond) * this.resolution);
+    var to = Math.max(from + 1, Math.floor(from + columnsPerPixel));
+    var min = 0, max = 0;
+    for (var column=Math.max(0, from); column<to && column<peaks.min.length; column++) {
+      min = Math.min(min, peaks.min[column]);
+      max = Math.max(max, peaks.max[column]);
+    }
+    if (max > min)
+      ctx.fillRect(x, (1 - max) * height / 2, 1,
+                   Math.max(1, (max - min) * height / 2));
+  }
+  // The loop, with its start and end points.
+  if (this.loop) {
+    var loopFrom = this.loop.start != null ? (this.loop.start - startTime) * pixelsPerSecond : 0;
+    var loopTo = this.loop.end != null ? (this.loop.end - startTime) * pixelsPerSecond : width;
+    if (this.loop.start != null && this.loop.end != null) {
+      ctx.fillStyle = 'rgba(255,255,255,0.15)';
+      ctx.fillRect(loopFrom, 0, loopTo - loopFrom, height);
+    }
+    ctx.fillStyle = '#ffffff';
+    if (this.loop.start != null)
+      ctx.fillRect(Math.round(loopFrom), 0, 2, height);
+    if (this.loop.end != null)
+      ctx.fillRect(Math.round(loopTo) - 2, 0, 2, height);
+  }
+  // Markers for the timed words.
+  if (this.lyrics) {
+    ctx.fillStyle = '#f0ad4e';
+    ctx.font = '11px sans-serif';
+    ctx.textBaseline = 'top';
+    for (var i=0; i<this.lyrics.length; i++) {
+      var word = this.lyrics[i];
+      if (!word.time)
+        continue;
+      var wordX = Math.round((word.time - startTime) * pixelsPerSecond);
+      if (wordX < 0 || wordX > width)
+        continue;
+      ctx.fillRect(wordX, 0, 1, height);
+      ctx.fillText(word.text, wordX + 2, 2);
+    }
+  }
+  // Ticks for the onsets.
+  if (this.onsets) {
+    ctx.fillStyle = '#5cb85c';
+    for (var j=0; j<this.onsets.length; j++) {
+      var onsetX = Math.round((this.onsets[j] - startTime) * pixelsPerSecond);
+      if (onsetX >= 0 && onsetX <= width)
+        ctx.fillRect(onsetX, height - 8, 1, 8);
+    }
+  }
+  // The playhead.
+  ctx.fillStyle = 'red';
+  ctx.fillRect(Math.round(width / 3), 0, 1, height);
+};
+Waveform.prototype._drawSpectrogram = function(ctx, startTime, pixelsPerSecond) {
+  var width = this.canvas.width, height = this.canvas.height;
+  var image = ctx.createImageData(width, height);
+  var data = image.data;
+  var lastColumn = Math.floor(this.audio.duration * this.resolution);
+  for (var x=0; x<width; x++) {
+    var column = Math.floor((startTime + x / pixelsPerSecond) * this.resolution);
+    if (column < 0 || column > lastColumn)
+      continue;
+    var spectrum = this._getSpectrum(column);
+    for (var y=0; y<height; y++) {
+      // Low frequencies at the bottom.
+      var value = spectrum[Math.floor((height - 1 - y) / height * spectrum.length)];
+      var offset = (y * width + x) * 4;
+      data[offset] = value;
+      data[offset+1] = value * value / 255;
+      data[offset+2] = 255 - value / 2;
+      data[offset+3] = 255;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+};
+/**
+ * For every analysis column, determine the minimum and maximum sample.
+ */
+Waveform.prototype._computePeaks = function() {
+  var samples = this.audio.samples;
+  var samplesPerColumn = this.audio.sampleRate / this.resolution;
+  var count = Math.ceil(samples.length / samplesPerColumn);
+  var peaks = {min: new Float32Array(count), max: new Float32Array(count)};
+  for (var column=0; column<count; column++) {
+    var min = 0, max = 0;
+    var end = Math.min(samples.length, Math.floor((column+1) * samplesPerColumn));
+    for (var i=Math.floor(column * samplesPerColumn); i<end; i++) {
+      if (samples[i] < min) min = samples[i];
+      if (samples[i] > max) max = samples[i];
+    }
+    peaks.min[column] = min;
+    peaks.max[column] = max;
+  }
+  return peaks;
+};
+/**
+ * Return the spectrum for the given analysis column, as an array of
+ * intensities from 0 to 255. Computed on demand, then cached.
+ */
+Waveform.prototype._getSpectrum = function(column) {
+  if (this._spectra[column])
+    return this._spectra[column];
+  var size = Waveform.FFT_SIZE;
+  var samples = this.audio.samples;
+  var center = Math.floor(column / this.resolution * this.audio.sampleRate);
+  var re = new Float32Array(size), im = new Float32Array(size);
+  for (var i=0; i<size; i++) {
+    var sample = samples[center - size / 2 + i] || 0;
+    // Hann window
+    re[i] = sample * 0.5 * (1 - Math.cos(2 * Math.PI * i / (size - 1)));
+  }
+  Waveform.fft(re, im);
+  // Only the lower half of the frequencies is of interest for vocals.
+  var spectrum = new Uint8Array(size / 4);
+  for (var bin=0; bin<spectrum.length; bin++) {
+    var magnitude = Math.sqrt(re[bin] * re[bin] + im[bin] * im[bin]);
+    var db = 20 * Math.log(magnitude + 1e-9) / Math.LN10;
+    spectrum[bin] = Math.max(0, Math.min(255, (db + 60) * 255 / 80));
+  }
+  return this._spectra[column] = spectrum;
+};
+Waveform.FFT_SIZE = 1024;
+/**
+ * Find the peaks of an onset detection function, i.e. the columns which
+ * are the maximum within ``ONSET_PEAK_WINDOW`` and exceed the local mean
+ * by ``ONSET_THRESHOLD`` standard deviations.
+ *
+ * @param flux One value per analysis column.
+ * @param resolution Columns per second.
+ * @return {Array} The times of the peaks, in seconds.
+ */
+Waveform.pickPeaks = function(flux, resolution) {
+  var n = flux.length;
+  var mean = 0, deviation = 0;
+  for (var i=0; i<n; i++)
+    mean += flux[i] / n;
+  for (i=0; i<n; i++)
+    deviation += (flux[i] - mean) * (flux[i] - mean) / n;
+  deviation = Math.sqrt(deviation) || 1;
+  var peakWindow = Math.round(Waveform.ONSET_PEAK_WINDOW * resolution);
+  var meanWindow = Math.round(Waveform.ONSET_MEAN_WINDOW * resolution);
+  var onsets = [], last = -Infinity;
+  for (i=0; i<n; i++) {
+    var isMax = true;
+    for (var j=Math.max(0, i-peakWindow); j<=Math.min(n-1, i+peakWindow) && isMax; j++)
+      isMax = flux[j] <= flux[i];
+    if (!isMax)
+      continue;
+    var from = Math.max(0, i-meanWindow), to = Math.min(n-1, i+meanWindow);
+    var localMean = 0;
+    for (j=from; j<=to; j++)
+      localMean += flux[j] / (to - from + 1);
+    if (flux[i] - localMean < Waveform.ONSET_THRESHOLD * deviation)
+      continue;
+    // Plateaus would otherwise give several onsets in a row.
+    if (i - last > peakWindow) {
+      onsets.push(i / resolution);
+      last = i;
+    }
+  }
+  return onsets;
+};
+/**
+ * Parameters for ``pickPeaks``: the window (in seconds, either side) in
+ * which an onset must be the maximum, the window for the local mean, and
+ * the threshold above it (in standard deviations).
+ */
+Waveform.ONSET_PEAK_WINDOW = 0.05;
+Waveform.ONSET_MEAN_WINDOW = 0.2;
+Waveform.ONSET_THRESHOLD = 0.5;
+/**
+ * In-place radix-2 FFT. The length of the arrays must be a power of two.
+ *
+ * @param re Real parts.
+ * @param im Imaginary parts.
+ */
+Waveform.fft = function(re, im) {
+  var n = re.length;
+  // Bit-reversal permutation
+  for (var i=1, j=0; i<n; i++) {
+    var bit = n >> 1;
+    for (; j & bit; bit >>= 1)
+      j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      var tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+      tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+    }
+  }
+  for (var len=2; len<=n; len<<=1) {
+    var angle = -2 * Math.PI / len;
+    var wRe = Math.cos(angle), wIm = Math.sin(angle);
+    for (var start=0; start<n; start+=len) {
+      var curRe = 1, curIm = 0;
+      for (var k=0; k<len/2; k++) {
+        var a = start + k, b = a + len/2;
+        var tRe = re[b] * curRe - im[b] * curIm;
+        var tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe; im[b] = im[a] - tIm;
+        re[a] += tRe; im[a] += tIm;
+        var nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+};
+/**
+ * Average all channels of an AudioBuffer into a single one.
+ *
+ * @param buffer
+ * @return {Float32Array}
+ */
+Waveform.mixDown = function(buffer) {
+  var result = new Float32Array(buffer.length);
+  for (var channel=0; channel<buffer.numberOfChannels; channel++) {
+    var data = buffer.getChannelData(channel);
+    for (var i=0; i<data.length; i++)
+      result[i] += data[i] / buffer.numberOfChannels;
+  }
+  return result;
+};
+/**
+ * Read the given url or Blob into an ArrayBuffer.
+ *
+ * @param source
+ * @param success Called with the ArrayBuffer.
+ * @param error Called with a message if the data cannot be read (for
+ *   example, a remote url that does not allow cross-origin requests).
+ */
+Waveform.readArrayBuffer = function(source, success, error) {
+  if (source instanceof Blob) {
+    var reader = new FileReader();
+    reader.onload = function() { success(reader.result); };
+    reader.onerror = function() { error('unable to read file'); };
+    reader.readAsArrayBuffer(source);
+    return;
+  }
+  var xhr = new XMLHttpRequest();
+  xhr.open('GET', source, true);
+  xhr.responseType = 'arraybuffer';
+  xhr.onload = function() {
+    if (xhr.status == 200 || (xhr.status == 0 && xhr.response))
+      success(xhr.response);
+    else
+      error('HTTP status ' + xhr.status);
+  };
+  xhr.onerror = function() { error('unable to download ' + source); };
+  xhr.send();
+};
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/**
+ * Command line access to the lyrics importers and exporters of the app
+ * (see ``app/js/lyrics.js``). Run without arguments for usage.
+ */
+var fs = require('fs');
+var path = require('path');
+var Lyrics = require('../app/js/lyrics.js').Lyrics;
+
+var USAGE = [
+  'Usage:',
+  '  lrctool.js convert [--from FORMAT] [--to FORMAT] [--duration SECONDS]',
+  '                     [-o OUTPUT] INPUT',
+  '      Convert between formats. Formats are taken from the file extensions',
+  '      unless given. Writes to stdout without -o.',
+  '  lrctool.js validate FILE...',
+  '      Report timestamps that are out of order, and words without one.',
+  '      Exits with 1 if there are errors.',
+  '  lrctool.js offset [--tag] MILLISECONDS FILE|DIRECTORY...',
+  '      Delay all timestamps (or make them sooner, if negative), and',
+  '      rewrite the files in place. Directories are searched for lyrics',
+  '      files (not recursively). With --tag, LRC files get an [offset:]',
+  '      tag instead.',
+  '',
+  'Input formats:  ' + Object.keys(importers()).join(', '),
+  'Output formats: ' + Object.keys(exporters()).join(', ')
+].join('\n');
+
+/**
+ * The importers, by format. Each one is called with the file contents and
+ * the duration (which may be undefined).
+ */
+function importers() {
+  return {
+    text: Lyrics.fromText,
+    lrc: Lyrics.fromLRC,
+    elrc: Lyrics.fromLRC,
+    srt: Lyrics.fromSRT,
+    vtt: Lyrics.fromVTT,
+    json: Lyrics.fromJSON
+  };
+}
+/**
+ * The exporters, by format. Each one is called with the lyrics and the
+ * duration (which may be undefined), and returns the file contents.
+ */
+function exporters() {
+  return {
+    text: function(lyrics) { return lyrics.toText(); },
+    lrc: function(lyrics, duration) { return lyrics.toLRC({length: duration}); },
+    elrc: function(lyrics, duration) { return lyrics.toELRC({length: duration}); },
+    srt: function(lyrics) { return lyrics.toSRT(); },
+    vtt: function(lyrics) { return lyrics.toVTT(); },
+    ass: function(lyrics) { return lyrics.toASS(); },
+    json: function(lyrics) { return JSON.stringify(lyrics) + '\n'; }
+  };
+}
+/**
+ * Formats by file extension.
+ */
+var EXTENSIONS = {
+  '.txt': 'text',
+  '.lrc': 'lrc',
+  '.elrc': 'elrc',
+  '.srt': 'srt',
+  '.vtt': 'vtt',
+  '.ass': 'ass',
+  '.json': 'json'
+};
+
+/**
+ * An error to be reported to the user, without a stack trace.
+ */
+function UsageError(message) { this.message = message; }
+
+/**
+ * Split the command line into options and positional arguments.
+ *
+ * @param args
+ * @param valued The options which take a value.
+ */
+function parseArgs(args, valued) {
+  var result = {options: {}, args: []};
+  for (var i=0; i<args.length; i++) {
+    var arg = args[i];
+    if (/^-(-?)[a-z]/.test(arg)) {
+      var name = arg.replace(/^--?/, '');
+      if (valued.indexOf(name) == -1)
+        result.options[name] = true;
+      else if (i+1 < args.length)
+        result.options[name] = args[++i];
+      else
+        throw new UsageError('Missing value for ' + arg);
+    }
+    else
+      result.args.push(arg);
+  }
+  return result;
+}
+
+/**
+ * Read and parse a lyrics file.
+ *
+ * @param file
+ * @param format Optional, detected from the extension or the contents.
+ * @param duration Optional.
+ * @return {Object} ``lyrics`` and ``format``.
+ */
+function readLyrics(file, format, duration) {
+  var text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+  if (!format)
+    format = EXTENSIONS[path.extname(file).toLowerCase()];
+  if (!format)
+    format = /^\s*(\{|\[\s*[{\]])/.test(text) ? 'json' : Lyrics.detectFormat(text);
+  var parse = importers()[format];
+  if (!parse)
+    throw new UsageError('Cannot read ' + format + ' (' + file + ')');
+  // Plain LRC is promoted to Enhanced LRC if it has word timestamps.
+  if (format == 'lrc' && Lyrics.LRC_WORD_TIME.test(text))
+    format = 'elrc';
+  return {lyrics: parse(text, duration), format: format};
+}
+
+/**
+ * Serialize lyrics in the given format.
+ */
+function writeLyrics(lyrics, format, duration) {
+  var write = exporters()[format];
+  if (!write)
+    throw new UsageError('Cannot write ' + format);
+  return write(lyrics, duration);
+}
+
+function convert(args) {
+  args = parseArgs(args, ['from', 'to', 'duration', 'o']);
+  if (args.args.length != 1)
+    throw new UsageError(USAGE);
+  var duration = parseFloat(args.options.duration) || undefined;
+  var input = readLyrics(args.args[0], args.options.from, duration);
+  var output = args.options.o;
+  var format = args.options.to || (output && EXTENSIONS[path.extname(output).toLowerCase()]);
+  if (!format)
+    throw new UsageError('Unknown output format, use --to');
+  // Keep the word timestamps when writing to a .lrc file.
+  if (format == 'lrc' && !args.options.to && input.format != 'lrc' && input.format != 'text')
+    format = 'elrc';
+  var result = writeLyrics(input.lyrics, format, duration);
+  if (output)
+    fs.writeFileSync(output, result);
+  else
+    process.stdout.write(result);
+  return 0;
+}
+
+function validate(args) {
+  args = parseArgs(args, []);
+  if (!args.args.length)
+    throw new UsageError(USAGE);
+  var status = 0;
+  args.args.forEach(function(file) {
+    var lyrics = readLyrics(file).lyrics;
+    lyrics.getProblems().forEach(function(problem) {
+      console.log(file + (problem.index !== null ? ' (word ' + (problem.index+1) + ')' : '') +
+                  ': ' + problem.level + ': ' + problem.message);
+      if (problem.level == 'error')
+        status = 1;
+    });
+  });
+  return status;
+}
+
+function offset(args) {
+  args = parseArgs(args, []);
+  var ms = parseInt(args.args.shift());
+  if (isNaN(ms) || !args.args.length)
+    throw new UsageError(USAGE);
+  var files = [];
+  args.args.forEach(function(arg) {
+    if (!fs.statSync(arg).isDirectory())
+      return files.push(arg);
+    fs.readdirSync(arg).sort().forEach(function(name) {
+      var format = EXTENSIONS[path.extname(name).toLowerCase()];
+      if (format && importers()[format] && format != 'text')
+        files.push(path.join(arg, name));
+    });
+  });
+  files.forEach(function(file) {
+    var input = readLyrics(file);
+    var lyrics = input.lyrics;
+    if (args.options.tag) {
+      if (input.format != 'lrc' && input.format != 'elrc')
+        throw new UsageError('--tag only works with LRC files (' + file + ')');
+      // A positive offset tag makes the lyrics appear sooner.
+      lyrics.setMetadata('offset', String(-ms));
+    }
+    else if (lyrics.length)
+      lyrics.shiftTimes(0, lyrics.length-1, ms / 1000);
+    fs.writeFileSync(file, writeLyrics(lyrics, input.format));
+    console.log(file);
+  });
+  return 0;
+}
+
+var commands = {convert: convert, validate: validate, offset: offset};
+
+function main(argv) {
+  var command = commands[argv[0]];
+  try {
+    if (!command)
+      throw new UsageError(USAGE);
+    return command(argv.slice(1));
+  }
+  catch (e) {
+    if (!(e instanceof UsageError) && !e.code)
+      throw e;
+    console.error(e.message);
+    return 2;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));